@@ -0,0 +1,19 @@
+module.exports = {
+  // Lifetime of the JWT access token sent with each request
+  accessTokenTtlMinutes: parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES) || 15,
+  // Lifetime of a refresh token (and its session) since it was last rotated
+  refreshTokenTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30,
+  emailVerificationTtlHours: parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48,
+  passwordResetTtlMinutes: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+  // When set, users must verify their email address before they can post
+  requireEmailVerification: process.env.REQUIRE_EMAIL_VERIFICATION === 'true',
+  // Base URL of the web client, used for links in emails
+  appUrl: process.env.APP_URL || 'http://localhost:3000',
+  // How long a user has to enter their second factor after the password check
+  twoFactorChallengeTtlMinutes: parseInt(process.env.TWO_FACTOR_CHALLENGE_TTL_MINUTES) || 5,
+  // Name shown next to the account in authenticator apps
+  twoFactorIssuer: process.env.TWO_FACTOR_ISSUER || 'Forum',
+  recoveryCodeCount: parseInt(process.env.RECOVERY_CODE_COUNT) || 10,
+  // When set, moderator and admin routes refuse staff who have not enabled 2FA
+  requireTwoFactorForStaff: process.env.REQUIRE_2FA_FOR_STAFF === 'true'
+};
@@ -0,0 +1,15 @@
+module.exports = {
+  // Failures are forgotten once this long passes without another one
+  failureWindowMinutes: parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15,
+  // Failures allowed before each further attempt has to wait
+  freeAttempts: parseInt(process.env.LOGIN_FREE_ATTEMPTS) || 3,
+  // The same for a source IP, higher since many users can share one behind NAT or a proxy
+  ipFreeAttempts: parseInt(process.env.LOGIN_IP_FREE_ATTEMPTS) || 15,
+  // Backoff doubles from the base delay with every further failure, up to the cap
+  baseDelaySeconds: parseInt(process.env.LOGIN_BACKOFF_BASE_SECONDS) || 1,
+  maxDelaySeconds: parseInt(process.env.LOGIN_BACKOFF_MAX_SECONDS) || 60,
+  // Failures that lock an account, or a source IP that many accounts share
+  accountMaxFailures: parseInt(process.env.LOGIN_ACCOUNT_MAX_FAILURES) || 10,
+  ipMaxFailures: parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 50,
+  lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15
+};
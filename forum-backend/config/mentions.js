@@ -0,0 +1,4 @@
+module.exports = {
+  // Distinct @mentions resolved per thread or reply; any beyond this stay plain text
+  maxMentionsPerPost: parseInt(process.env.MAX_MENTIONS_PER_POST) || 10
+};
@@ -0,0 +1,6 @@
+module.exports = {
+  // Open reports needed before a thread or reply is hidden pending review
+  reportHideThreshold: parseInt(process.env.REPORT_HIDE_THRESHOLD) || 5,
+  // Days soft-deleted threads and replies are kept before being purged
+  deletedRetentionDays: parseInt(process.env.DELETED_RETENTION_DAYS) || 30
+};
@@ -0,0 +1,17 @@
+const milestones = (value, fallback) => {
+  if (!value) {
+    return fallback;
+  }
+  return value.split(',').map(n => parseInt(n)).filter(n => n > 0).sort((a, b) => a - b);
+};
+
+module.exports = {
+  // Vote totals that notify the author, each at most once per thread or reply
+  voteMilestones: milestones(process.env.NOTIFICATION_VOTE_MILESTONES, [10, 25, 50, 100, 250, 500, 1000]),
+  // Actors listed by name on a coalesced notification; the rest are only counted
+  actorsShown: parseInt(process.env.NOTIFICATION_ACTORS_SHOWN) || 3,
+  // How often the digest job looks for users due a daily or weekly digest
+  digestIntervalMinutes: parseInt(process.env.DIGEST_INTERVAL_MINUTES) || 60,
+  // Notifications listed in one digest email; the rest are only counted
+  digestMaxItems: parseInt(process.env.DIGEST_MAX_ITEMS) || 50
+};
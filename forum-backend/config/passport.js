@@ -45,6 +45,9 @@
 
 const { Strategy: JwtStrategy, ExtractJwt } = require("passport-jwt");
 const User = require("../models/User");
+const Session = require("../models/Session");
+
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
 
 const cookieExtractor = (req) => {
   let token = null;
@@ -65,12 +68,35 @@ module.exports = function (passport) {
   passport.use(
     new JwtStrategy(opts, async (jwt_payload, done) => {
       try {
+        // Purpose-bound tokens (such as the 2FA challenge) are never access tokens
+        if (jwt_payload.purpose) {
+          return done(null, false);
+        }
+        // Access tokens are only honoured while the session that issued them is live
+        const session = jwt_payload.sid && await Session.findOne({
+          _id: jwt_payload.sid,
+          revokedAt: null,
+          expiresAt: { $gt: new Date() }
+        }).select('user lastSeenAt');
+        if (!session) {
+          return done(null, false);
+        }
         const id = jwt_payload.id || jwt_payload.userId;
+        if (session.user.toString() !== String(id)) {
+          return done(null, false);
+        }
         const user = await User.findById(id).select('-password');
-        if (user) {
-          return done(null, user);
+        if (!user) {
+          return done(null, false);
+        }
+        const restriction = user.accessRestriction();
+        if (restriction) {
+          return done(null, false, { status: 403, ...restriction });
+        }
+        if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_RESOLUTION_MS) {
+          await Session.updateOne({ _id: session._id }, { $set: { lastSeenAt: new Date() } });
         }
-        return done(null, false);
+        return done(null, user, { sessionId: session._id });
       } catch (err) {
         return done(err, false);
       }
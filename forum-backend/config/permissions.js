@@ -0,0 +1,62 @@
+/**
+ * Named permissions granted to each role. A permission ending in `.own`
+ * applies only to content the user authored; `.any` covers everyone's.
+ * Checks go through `can()` in utils/permissions.js, never through role names.
+ */
+
+const MEMBER = [
+  'thread.create',
+  'thread.edit.own',
+  'thread.delete.own',
+  'reply.create',
+  'reply.edit.own',
+  'reply.delete.own',
+  // Accepting an answer is "own" for the author of the thread
+  'reply.accept.own',
+  'vote.cast',
+  'report.create'
+];
+
+// Everything a moderator may do to threads and replies; also what a per-category moderator gets in their categories
+const CONTENT_MODERATION = [
+  'thread.view.hidden',
+  'thread.pin',
+  'thread.lock',
+  'thread.move',
+  'thread.merge',
+  'thread.delete.any',
+  'thread.restore',
+  'reply.view.hidden',
+  'reply.delete.any',
+  'reply.restore',
+  'reply.accept.any'
+];
+
+const MODERATOR = [
+  ...MEMBER,
+  ...CONTENT_MODERATION,
+  'report.review',
+  'user.restrict',
+  'user.reputation.penalize',
+  'ratelimit.bypass'
+];
+
+const ADMIN = [
+  ...MODERATOR,
+  'category.manage',
+  'tag.manage',
+  'user.manage',
+  // Restricting moderators and admins, not just regular users
+  'user.restrict.staff',
+  'audit.view',
+  'lockout.manage'
+];
+
+module.exports = {
+  roles: {
+    user: MEMBER,
+    moderator: MODERATOR,
+    admin: ADMIN
+  },
+  categoryModerator: CONTENT_MODERATION
+};
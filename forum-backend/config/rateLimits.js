@@ -0,0 +1,43 @@
+const MINUTE_MS = 60 * 1000;
+
+// Unlike `parseInt(...) || fallback`, keeps an explicit 0
+const setting = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+module.exports = {
+  // 'memory' keeps counters per process; 'mongo' shares them between instances
+  store: process.env.RATE_LIMIT_STORE || 'memory',
+  // GET/HEAD/OPTIONS requests, per signed-in user or per IP for anonymous clients
+  read: {
+    windowMs: (parseInt(process.env.RATE_LIMIT_READ_WINDOW_MINUTES) || 15) * MINUTE_MS,
+    limit: parseInt(process.env.RATE_LIMIT_READ_MAX) || 600
+  },
+  // Every other method
+  write: {
+    windowMs: (parseInt(process.env.RATE_LIMIT_WRITE_WINDOW_MINUTES) || 15) * MINUTE_MS,
+    limit: parseInt(process.env.RATE_LIMIT_WRITE_MAX) || 100
+  },
+  // Sign-up and endpoints that send email, per IP
+  auth: {
+    windowMs: (parseInt(process.env.RATE_LIMIT_AUTH_WINDOW_MINUTES) || 15) * MINUTE_MS,
+    limit: parseInt(process.env.RATE_LIMIT_AUTH_MAX) || 20
+  },
+  // New threads and replies per user; `restrictedLimit` applies to new or low-reputation accounts
+  posting: {
+    thread: {
+      windowMs: (parseInt(process.env.RATE_LIMIT_THREAD_WINDOW_MINUTES) || 60) * MINUTE_MS,
+      limit: parseInt(process.env.RATE_LIMIT_THREAD_MAX) || 20,
+      restrictedLimit: parseInt(process.env.RATE_LIMIT_THREAD_RESTRICTED_MAX) || 3
+    },
+    reply: {
+      windowMs: (parseInt(process.env.RATE_LIMIT_REPLY_WINDOW_MINUTES) || 60) * MINUTE_MS,
+      limit: parseInt(process.env.RATE_LIMIT_REPLY_MAX) || 120,
+      restrictedLimit: parseInt(process.env.RATE_LIMIT_REPLY_RESTRICTED_MAX) || 10
+    }
+  },
+  // Accounts younger than this, or below this reputation, get the restricted posting limits
+  newAccountDays: setting('RATE_LIMIT_NEW_ACCOUNT_DAYS', 3),
+  lowReputation: setting('RATE_LIMIT_LOW_REPUTATION', 5)
+};
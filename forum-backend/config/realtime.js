@@ -0,0 +1,10 @@
+module.exports = {
+  // Comment lines sent on idle streams so proxies don't close them
+  heartbeatSeconds: parseInt(process.env.REALTIME_HEARTBEAT_SECONDS) || 25,
+  // How often signed-in streams are checked against their session, so logouts and bans end them
+  sessionCheckSeconds: parseInt(process.env.REALTIME_SESSION_CHECK_SECONDS) || 300,
+  // Threads plus categories one stream may follow
+  maxChannels: parseInt(process.env.REALTIME_MAX_CHANNELS) || 20,
+  // Open streams per account, or per IP for anonymous visitors
+  maxConnections: parseInt(process.env.REALTIME_MAX_CONNECTIONS) || 5
+};
@@ -0,0 +1,13 @@
+const points = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+// Reputation awarded (or taken) per event; override with environment variables
+module.exports = {
+  thread_upvote: points('REPUTATION_THREAD_UPVOTE', 10),
+  thread_downvote: points('REPUTATION_THREAD_DOWNVOTE', -2),
+  reply_upvote: points('REPUTATION_REPLY_UPVOTE', 5),
+  reply_downvote: points('REPUTATION_REPLY_DOWNVOTE', -2),
+  accepted_answer: points('REPUTATION_ACCEPTED_ANSWER', 15)
+};
@@ -0,0 +1,10 @@
+module.exports = {
+  // Most thread and reply matches considered per query before ranking and paging
+  candidateLimit: parseInt(process.env.SEARCH_CANDIDATE_LIMIT) || 200,
+  // Age in days at which recency contributes half as much to a result's rank
+  recencyHalfLifeDays: parseInt(process.env.SEARCH_RECENCY_HALF_LIFE_DAYS) || 30,
+  // Share of the rank taken by recency; the rest is text relevance
+  recencyWeight: 0.3,
+  // Reply matches count for a little less than matches in the thread itself
+  replyMatchWeight: 0.8
+};
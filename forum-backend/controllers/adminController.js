@@ -0,0 +1,116 @@
+const { validationResult } = require('express-validator');
+const ModerationLog = require('../models/ModerationLog');
+const LoginThrottle = require('../models/LoginThrottle');
+const { pick, recordModerationAction } = require('../utils/auditLog');
+
+exports.getAuditLog = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (req.query.actor) {
+      query.actor = req.query.actor;
+    }
+    if (req.query.action) {
+      query.action = req.query.action;
+    }
+    if (req.query.targetType) {
+      query.targetType = req.query.targetType;
+    }
+    if (req.query.targetId) {
+      query.targetId = req.query.targetId;
+    }
+    if (req.query.from || req.query.to) {
+      query.createdAt = {};
+      if (req.query.from) query.createdAt.$gte = new Date(req.query.from);
+      if (req.query.to) query.createdAt.$lte = new Date(req.query.to);
+    }
+
+    const entries = await ModerationLog.find(query)
+      .populate('actor', 'username role')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await ModerationLog.countDocuments(query);
+
+    res.json({
+      entries,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+exports.listLockouts = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    // Active lockouts by default; `all=true` also lists accounts and IPs that are only backing off
+    const now = new Date();
+    const query = req.query.all === 'true'
+      ? { expiresAt: { $gt: now } }
+      : { lockedUntil: { $gt: now } };
+    if (req.query.scope) {
+      query.scope = req.query.scope;
+    }
+
+    const lockouts = await LoginThrottle.find(query)
+      .populate('user', 'username email')
+      .sort({ lockedUntil: -1, lastFailureAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await LoginThrottle.countDocuments(query);
+
+    res.json({
+      lockouts,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+exports.clearLockout = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const lockout = await LoginThrottle.findByIdAndDelete(req.params.id);
+    if (!lockout) {
+      return res.status(404).json({ message: 'Lockout not found' });
+    }
+
+    await recordModerationAction({
+      actor: req.user._id,
+      action: 'lockout.clear',
+      targetType: 'lockout',
+      targetId: lockout._id,
+      reason: req.body.reason,
+      before: pick(lockout, ['scope', 'key', 'user', 'failures', 'lockedUntil']),
+      after: null
+    });
+
+    res.json({ message: 'Lockout cleared successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
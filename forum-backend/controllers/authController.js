@@ -1,6 +1,28 @@
 const { validationResult } = require('express-validator');
 const User = require('../models/User');
-const setTokenCookie = require('../utils/generateToken');
+const Session = require('../models/Session');
+const {
+  hashToken,
+  readRefreshToken,
+  clearAuthCookies,
+  startSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions
+} = require('../utils/session');
+const { consumeAuthToken } = require('../utils/authTokens');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/authEmails');
+const { clearLoginFailures } = require('../utils/loginThrottle');
+const { registerAccount, verifyCredentials, verifyTwoFactorAttempt, beginLogin } = require('../utils/authService');
+const { generateSecret, otpauthUri } = require('../utils/totp');
+const {
+  readChallengeToken,
+  generateRecoveryCodes,
+  consumeTotp,
+  verifySecondFactor,
+  remainingRecoveryCodes
+} = require('../utils/twoFactor');
+const { twoFactorIssuer, requireTwoFactorForStaff } = require('../config/auth');
 
 exports.register = async (req, res) => {
   try {
@@ -10,25 +32,17 @@ exports.register = async (req, res) => {
     }
 
     const { username, email, password } = req.body;
-
-    const existingUser = await User.findOne({
-      $or: [{ email }, { username }]
-    });
-
-    if (existingUser) {
-      return res.status(400).json({
-        message: 'User already exists with this email or username'
-      });
+    const { user, error } = await registerAccount({ username, email, password });
+    if (error) {
+      return res.status(error.status).json(error.body);
     }
 
-    const user = new User({ username, email, password });
-    await user.save();
-
-    const token = setTokenCookie(user._id, res);
+    const { token, refreshToken } = await startSession(user, req, res);
 
     res.status(201).json({
       message: 'User registered successfully',
       token,
+      refreshToken,
       user
     });
   } catch (error) {
@@ -44,27 +58,374 @@ exports.login = async (req, res) => {
     }
 
     const { email, password } = req.body;
+    const { user, error } = await verifyCredentials({ email, password, ip: req.ip });
+    if (error) {
+      return res.status(error.status).set(error.headers || {}).json(error.body);
+    }
 
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(401).json({ message: 'Invalid email or password' });
+    res.json(await beginLogin(user, req, res));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+exports.refresh = async (req, res) => {
+  try {
+    const result = await rotateSession(readRefreshToken(req), req, res);
+    if (!result) {
+      clearAuthCookies(res);
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+    res.json({
+      message: 'Token refreshed successfully',
+      token: result.token,
+      refreshToken: result.refreshToken
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+exports.logout = async (req, res) => {
+  try {
+    const refreshToken = readRefreshToken(req);
+    if (refreshToken) {
+      await Session.updateOne(
+        { tokenHash: hashToken(refreshToken), revokedAt: null },
+        { $set: { revokedAt: new Date(), revokeReason: 'Logged out' } }
+      );
+    }
+    if (req.authInfo && req.authInfo.sessionId) {
+      await revokeSession(req.authInfo.sessionId, 'Logged out');
+    }
+    clearAuthCookies(res);
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+exports.logoutAll = async (req, res) => {
+  try {
+    const { modifiedCount } = await revokeAllSessions(req.user._id, 'Logged out of all devices');
+    clearAuthCookies(res);
+    res.json({ message: 'Logged out of all devices successfully', sessionsRevoked: modifiedCount });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+exports.listSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('userAgent ip lastSeenAt createdAt expiresAt')
+      .sort({ lastSeenAt: -1 });
+
+    const currentId = req.authInfo && req.authInfo.sessionId && req.authInfo.sessionId.toString();
+    res.json({
+      sessions: sessions.map(session => ({
+        ...session.toObject(),
+        current: session._id.toString() === currentId
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+exports.revokeSession = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const { modifiedCount } = await Session.updateOne(
+      { _id: req.params.id, user: req.user._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokeReason: 'Revoked by user' } }
+    );
+    if (modifiedCount === 0) {
+      return res.status(404).json({ message: 'Session not found' });
     }
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
 
-    const isMatch = await user.comparePassword(password);
+exports.changePassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const { currentPassword, newPassword } = req.body;
+    const user = await User.findById(req.user._id);
+    const isMatch = await user.comparePassword(currentPassword);
     if (!isMatch) {
-      return res.status(401).json({ message: 'Invalid email or password' });
+      return res.status(401).json({ message: 'Current password is incorrect' });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    // Every existing session is signed out; this device gets a fresh one
+    await revokeAllSessions(user._id, 'Password changed');
+    const { token, refreshToken } = await startSession(user, req, res);
+    res.json({ message: 'Password changed successfully', token, refreshToken });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+exports.requestEmailVerification = async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+    await sendVerificationEmail(req.user);
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+exports.verifyEmail = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const authToken = await consumeAuthToken(req.body.token, 'email_verification');
+    if (!authToken) {
+      return res.status(400).json({ message: 'Invalid or expired verification token' });
+    }
+    await User.updateOne(
+      { _id: authToken.user },
+      { $set: { emailVerified: true, emailVerifiedAt: new Date() } }
+    );
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+exports.forgotPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const user = await User.findOne({ email: req.body.email });
+    if (user) {
+      await sendPasswordResetEmail(user);
+    }
+    // Same answer either way so the endpoint cannot be used to probe for accounts
+    res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+exports.resetPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const authToken = await consumeAuthToken(req.body.token, 'password_reset');
+    if (!authToken) {
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
+    const user = await User.findById(authToken.user);
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
+
+    user.password = req.body.password;
+    // Receiving the reset email proves the address belongs to the user
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+    await revokeAllSessions(user._id, 'Password reset');
+    // Proving control of the mailbox lifts any lockout on the account
+    await clearLoginFailures({ email: user.email });
+
+    res.json({ message: 'Password reset successfully. Please log in with your new password.' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+exports.verifyTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const { challengeToken, code, recoveryCode } = req.body;
+    const userId = readChallengeToken(challengeToken);
+    if (!userId) {
+      return res.status(401).json({ message: 'Invalid or expired challenge token' });
+    }
+    const user = await User.findById(userId);
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(401).json({ message: 'Invalid or expired challenge token' });
+    }
+    const restriction = user.accessRestriction();
+    if (restriction) {
+      return res.status(403).json(restriction);
+    }
+    const { error } = await verifyTwoFactorAttempt(user, { code, recoveryCode }, req.ip);
+    if (error) {
+      return res.status(error.status).set(error.headers || {}).json(error.body);
     }
 
-    const token = setTokenCookie(user._id, res);
-    
+    const { token, refreshToken } = await startSession(user, req, res);
+    const fresh = await User.findById(user._id);
     res.json({
       message: 'Login successful',
       token,
-      user
+      refreshToken,
+      recoveryCodesRemaining: remainingRecoveryCodes(fresh),
+      user: fresh
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+exports.getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    res.json({
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      recoveryCodesRemaining: user.twoFactor.enabled ? remainingRecoveryCodes(user) : 0
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    if (req.user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+    const secret = generateSecret();
+    await User.updateOne({ _id: req.user._id }, { $set: { 'twoFactor.pendingSecret': secret } });
+    res.json({
+      secret,
+      otpauthUri: otpauthUri({ secret, account: req.user.email, issuer: twoFactorIssuer })
     });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 };
 
+exports.enableTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const user = await User.findById(req.user._id);
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+    if (!(await consumeTotp(user, user.twoFactor.pendingSecret, req.body.code))) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const { codes, stored } = generateRecoveryCodes();
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          'twoFactor.enabled': true,
+          'twoFactor.secret': user.twoFactor.pendingSecret,
+          'twoFactor.enabledAt': new Date(),
+          'twoFactor.recoveryCodes': stored
+        },
+        $unset: { 'twoFactor.pendingSecret': '' }
+      }
+    );
+    // Other devices signed in with the password alone are signed out
+    await revokeAllSessions(user._id, 'Two-factor authentication enabled', req.authInfo.sessionId);
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again.',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const user = await User.findById(req.user._id);
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+    if (requireTwoFactorForStaff && ['admin', 'moderator'].includes(user.role)) {
+      return res.status(403).json({ message: 'Two-factor authentication is required for your role' });
+    }
+    const { password, code, recoveryCode } = req.body;
+    if (!(await user.comparePassword(password))) {
+      return res.status(401).json({ message: 'Current password is incorrect' });
+    }
+    if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { 'twoFactor.enabled': false, 'twoFactor.recoveryCodes': [] },
+        $unset: { 'twoFactor.secret': '', 'twoFactor.pendingSecret': '', 'twoFactor.enabledAt': '' }
+      }
+    );
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const user = await User.findById(req.user._id);
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+    if (!(await consumeTotp(user, user.twoFactor.secret, req.body.code))) {
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
 
+    const { codes, stored } = generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.recoveryCodes': stored } });
+    res.json({
+      message: 'New recovery codes generated. Previous codes no longer work.',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
@@ -1,6 +1,47 @@
 const { validationResult } = require('express-validator');
 const Category = require('../models/Category');
 const Thread = require('../models/Threads');
+const User = require('../models/User');
+const { pick, recordModerationAction } = require('../utils/auditLog');
+const { can } = require('../utils/permissions');
+const { canReadCategory, hiddenCategoryIds } = require('../utils/categoryAccess');
+const { recheckAccess } = require('../utils/realtime');
+
+const SIBLING_ORDER = { position: 1, name: 1 };
+const CATEGORY_SNAPSHOT_FIELDS = ['name', 'description', 'color', 'isActive', 'visibility', 'allowedRoles', 'postingRoles', 'parent', 'position', 'icon'];
+
+// The ancestors list for a category placed under `parentId`; null when the parent does not exist
+const ancestorsUnder = async (parentId) => {
+  if (!parentId) {
+    return [];
+  }
+  const parent = await Category.findById(parentId).select('ancestors');
+  return parent ? [...parent.ancestors, parent._id] : null;
+};
+
+// After a category moves, rewrite the part of each descendant's ancestors that sits above it
+const reparentDescendants = async (category) => {
+  const descendants = await Category.find({ ancestors: category._id }).select('ancestors');
+  if (descendants.length === 0) {
+    return;
+  }
+  await Category.bulkWrite(descendants.map(descendant => {
+    const below = descendant.ancestors.slice(
+      descendant.ancestors.findIndex(id => id.equals(category._id)) + 1
+    );
+    return {
+      updateOne: {
+        filter: { _id: descendant._id },
+        update: { $set: { ancestors: [...category.ancestors, category._id, ...below] } }
+      }
+    };
+  }));
+};
+
+const visibleCategories = async (user, categories) => {
+  const hidden = await hiddenCategoryIds(user);
+  return categories.filter(category => !hidden.some(id => id.equals(category._id)));
+};
 
 exports.getAll = async (req, res) => {
   const errors = validationResult(req);
@@ -14,26 +55,67 @@ exports.getAll = async (req, res) => {
     } else {
       query.isActive = true;
     }
-    const categories = await Category.find(query);
-    res.json(categories);
+    const categories = await Category.find(query).sort(SIBLING_ORDER);
+    const visible = await visibleCategories(req.user, categories);
+    if (!(await can(req.user, 'category.manage'))) {
+      visible.forEach(category => { category.members = undefined; });
+    }
+    res.json(visible);
   } catch (error) {
     console.error('Error fetching categories:', error);
     res.status(500).json({ message: 'Failed to fetch categories', error: error.message });
   }
 };
 
+// Active categories the viewer can see, nested by parent; a hidden category hides its subtree
+exports.getTree = async (req, res) => {
+  try {
+    const categories = await Category.find({ isActive: true })
+      .populate('lastPoster', 'username avatar')
+      .populate('lastThread', 'title')
+      .sort(SIBLING_ORDER);
+    const visible = await visibleCategories(req.user, categories);
+
+    const nodes = new Map(visible.map(category => {
+      const node = category.toJSON();
+      delete node.members;
+      node.children = [];
+      return [category._id.toString(), node];
+    }));
+    const roots = [];
+    for (const category of visible) {
+      const node = nodes.get(category._id.toString());
+      if (!category.parent) {
+        roots.push(node);
+      } else if (nodes.has(category.parent.toString())) {
+        nodes.get(category.parent.toString()).children.push(node);
+      }
+    }
+
+    res.json(roots);
+  } catch (error) {
+    console.error('Error fetching category tree:', error);
+    res.status(500).json({ message: 'Failed to fetch category tree', error: error.message });
+  }
+};
+
 exports.getById = async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({ errors: errors.array() });
   }
   try {
-    const category = await Category.findById(req.params.id);
-    if (!category) {
+    const category = await Category.findById(req.params.id).populate('moderators', 'username avatar');
+    if (!category || !(await canReadCategory(req.user, category))) {
       return res.status(404).json({ message: 'Category not found' });
     }
+    if (await can(req.user, 'category.manage')) {
+      await category.populate('members', 'username avatar');
+    } else {
+      category.members = undefined;
+    }
     if (req.query.includeThreadCount === 'true') {
-      const threadCount = await Thread.countDocuments({ category: req.params.id });
+      const threadCount = await Thread.countDocuments({ category: req.params.id, isDeleted: { $ne: true } });
       const categoryObj = category.toObject();
       categoryObj.threadCount = threadCount;
       return res.json(categoryObj);
@@ -56,8 +138,8 @@ exports.getThreadsByCategory = async (req, res) => {
     const skip = (page - 1) * limit;
     const sortBy = req.query.sortBy || 'recent';
 
-    const categoryExists = await Category.exists({ _id: req.params.id });
-    if (!categoryExists) {
+    const category = await Category.findById(req.params.id);
+    if (!category || !(await canReadCategory(req.user, category))) {
       return res.status(404).json({ message: 'Category not found' });
     }
 
@@ -73,7 +155,20 @@ exports.getThreadsByCategory = async (req, res) => {
         sortOptions = { isPinned: -1, createdAt: -1 };
     }
 
-    const threads = await Thread.find({ category: req.params.id })
+    let categoryIds = [category._id];
+    if (req.query.includeDescendants === 'true') {
+      const hidden = await hiddenCategoryIds(req.user);
+      const descendants = await Category.find({ ancestors: category._id }).distinct('_id');
+      categoryIds = categoryIds.concat(descendants.filter(id => !hidden.some(hiddenId => hiddenId.equals(id))));
+    }
+
+    const query = { category: { $in: categoryIds }, isHidden: { $ne: true }, isDeleted: { $ne: true } };
+    if (req.query.status === 'solved') {
+      query.acceptedReply = { $ne: null };
+    } else if (req.query.status === 'unsolved') {
+      query.acceptedReply = null;
+    }
+    const threads = await Thread.find(query)
       .populate('author', 'username avatar')
       .populate('category', 'name color')
       .populate('tags', 'name color')
@@ -81,7 +176,7 @@ exports.getThreadsByCategory = async (req, res) => {
       .skip(skip)
       .limit(limit);
 
-    const total = await Thread.countDocuments({ category: req.params.id });
+    const total = await Thread.countDocuments(query);
 
     res.json({
       threads,
@@ -100,14 +195,38 @@ exports.create = async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, description, color } = req.body;
+    const { name, description, color, visibility, allowedRoles, postingRoles, parent, position, icon } = req.body;
     const existingCategory = await Category.findOne({ name: { $regex: new RegExp(`^${name}$`, 'i') } });
     if (existingCategory) {
       return res.status(400).json({ message: 'Category already exists' });
     }
 
-    const category = new Category({ name, description, color });
+    const ancestors = await ancestorsUnder(parent);
+    if (!ancestors) {
+      return res.status(404).json({ message: 'Parent category not found' });
+    }
+
+    const category = new Category({
+      name,
+      description,
+      color,
+      visibility,
+      allowedRoles,
+      postingRoles,
+      parent: parent || null,
+      ancestors,
+      position,
+      icon
+    });
     await category.save();
+    await recordModerationAction({
+      actor: req.user._id,
+      action: 'category.create',
+      targetType: 'category',
+      targetId: category._id,
+      reason: req.body.reason,
+      after: pick(category, CATEGORY_SNAPSHOT_FIELDS)
+    });
 
     res.status(201).json(category);
   } catch (error) {
@@ -123,7 +242,7 @@ exports.update = async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, description, color, isActive } = req.body;
+    const { name, description, color, isActive, visibility, allowedRoles, postingRoles, parent, position, icon } = req.body;
     const category = await Category.findById(req.params.id);
     if (!category) {
       return res.status(404).json({ message: 'Category not found' });
@@ -139,12 +258,51 @@ exports.update = async (req, res) => {
       }
     }
 
+    const before = pick(category, CATEGORY_SNAPSHOT_FIELDS);
     if (name) category.name = name;
     if (description !== undefined) category.description = description;
     if (color) category.color = color;
     if (isActive !== undefined) category.isActive = isActive;
+    if (visibility) category.visibility = visibility;
+    if (allowedRoles) category.allowedRoles = allowedRoles;
+    if (postingRoles) category.postingRoles = postingRoles;
+    if (position !== undefined) category.position = position;
+    if (icon !== undefined) category.icon = icon;
+
+    // `parent: null` moves the category to the top level
+    const parentChanged = parent !== undefined && String(parent) !== String(category.parent);
+    if (parentChanged) {
+      if (parent && parent === category._id.toString()) {
+        return res.status(400).json({ message: 'A category cannot be its own parent' });
+      }
+      const ancestors = await ancestorsUnder(parent);
+      if (!ancestors) {
+        return res.status(404).json({ message: 'Parent category not found' });
+      }
+      if (ancestors.some(id => id.equals(category._id))) {
+        return res.status(400).json({ message: 'A category cannot be moved under its own subcategory' });
+      }
+      category.parent = parent || null;
+      category.ancestors = ancestors;
+    }
 
     await category.save();
+    if (parentChanged) {
+      await reparentDescendants(category);
+    }
+    await recordModerationAction({
+      actor: req.user._id,
+      action: 'category.update',
+      targetType: 'category',
+      targetId: category._id,
+      reason: req.body.reason,
+      before,
+      after: pick(category, CATEGORY_SNAPSHOT_FIELDS)
+    });
+    // Open streams on this category, its subcategories and their threads may have lost access
+    if (visibility || allowedRoles || parentChanged) {
+      recheckAccess();
+    }
     res.json(category);
   } catch (error) {
     console.error('Error updating category:', error);
@@ -154,11 +312,22 @@ exports.update = async (req, res) => {
 
 exports.remove = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
     const category = await Category.findById(req.params.id);
     if (!category) {
       return res.status(404).json({ message: 'Category not found' });
     }
 
+    const hasChildren = await Category.exists({ parent: req.params.id });
+    if (hasChildren) {
+      return res.status(400).json({
+        message: 'Cannot delete category with subcategories. Move or delete them first.'
+      });
+    }
+
     const threadCount = await Thread.countDocuments({ category: req.params.id });
     if (threadCount > 0) {
       return res.status(400).json({ 
@@ -167,6 +336,14 @@ exports.remove = async (req, res) => {
     }
 
     await Category.findByIdAndDelete(req.params.id);
+    await recordModerationAction({
+      actor: req.user._id,
+      action: 'category.delete',
+      targetType: 'category',
+      targetId: category._id,
+      reason: req.body.reason,
+      before: pick(category, CATEGORY_SNAPSHOT_FIELDS)
+    });
     res.json({ message: 'Category deleted successfully' });
   } catch (error) {
     console.error('Error deleting category:', error);
@@ -174,4 +351,86 @@ exports.remove = async (req, res) => {
   }
 };
 
+// Per-category user lists managed through the API
+const CATEGORY_LISTS = {
+  moderators: { label: 'moderator', added: 'User already moderates this category', missing: 'User does not moderate this category' },
+  members: { label: 'member', added: 'User is already a member of this category', missing: 'User is not a member of this category' }
+};
+
+const addListEntry = (list) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const labels = CATEGORY_LISTS[list];
+
+    const userExists = await User.exists({ _id: req.body.userId });
+    if (!userExists) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    const category = await Category.findOneAndUpdate(
+      { _id: req.params.id, [list]: { $ne: req.body.userId } },
+      { $push: { [list]: req.body.userId } },
+      { new: true }
+    ).populate(list, 'username avatar');
+    if (!category) {
+      const categoryExists = await Category.exists({ _id: req.params.id });
+      return categoryExists
+        ? res.status(400).json({ message: labels.added })
+        : res.status(404).json({ message: 'Category not found' });
+    }
+
+    await recordModerationAction({
+      actor: req.user._id,
+      action: `category.${labels.label}.add`,
+      targetType: 'category',
+      targetId: category._id,
+      reason: req.body.reason,
+      after: { [labels.label]: req.body.userId }
+    });
+    res.json(category);
+  } catch (error) {
+    console.error(`Error adding category ${CATEGORY_LISTS[list].label}:`, error);
+    res.status(500).json({ message: `Failed to add category ${CATEGORY_LISTS[list].label}`, error: error.message });
+  }
+};
+
+const removeListEntry = (list) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const labels = CATEGORY_LISTS[list];
+
+    const category = await Category.findOneAndUpdate(
+      { _id: req.params.id, [list]: req.params.userId },
+      { $pull: { [list]: req.params.userId } },
+      { new: true }
+    ).populate(list, 'username avatar');
+    if (!category) {
+      const categoryExists = await Category.exists({ _id: req.params.id });
+      return res.status(404).json({ message: categoryExists ? labels.missing : 'Category not found' });
+    }
+
+    await recordModerationAction({
+      actor: req.user._id,
+      action: `category.${labels.label}.remove`,
+      targetType: 'category',
+      targetId: category._id,
+      reason: req.body.reason,
+      before: { [labels.label]: req.params.userId }
+    });
+    recheckAccess();
+    res.json(category);
+  } catch (error) {
+    console.error(`Error removing category ${CATEGORY_LISTS[list].label}:`, error);
+    res.status(500).json({ message: `Failed to remove category ${CATEGORY_LISTS[list].label}`, error: error.message });
+  }
+};
 
+exports.addModerator = addListEntry('moderators');
+exports.removeModerator = removeListEntry('moderators');
+exports.addMember = addListEntry('members');
+exports.removeMember = removeListEntry('members');
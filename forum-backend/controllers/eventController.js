@@ -0,0 +1,87 @@
+const { validationResult } = require('express-validator');
+const Thread = require('../models/Threads');
+const { can } = require('../utils/permissions');
+const { canReadCategory, findCategoryForAccess } = require('../utils/categoryAccess');
+const { connect, connectionCount, threadChannel, categoryChannel, userChannel } = require('../utils/realtime');
+const { maxChannels, maxConnections } = require('../config/realtime');
+
+const idList = (value) => (value ? value.split(',').filter(Boolean) : []);
+
+// Same rules as GET /api/threads/:id: readable category, and hidden threads only for their author and moderators
+const canViewThread = async (user, thread) => {
+  const category = await findCategoryForAccess(thread.category);
+  if (category && !(await canReadCategory(user, category))) {
+    return false;
+  }
+  if (!thread.isHidden) {
+    return true;
+  }
+  return Boolean(user) && (thread.author.equals(user._id) || await can(user, 'thread.view.hidden', thread));
+};
+
+// Rechecked by the realtime hub when a thread or category changes visibility after the stream opened
+const canStillListen = (user) => async (channel) => {
+  const [kind, id] = channel.split(':');
+  if (kind === 'thread') {
+    const thread = await Thread.findById(id).select('author category isHidden');
+    return Boolean(thread) && canViewThread(user, thread);
+  }
+  if (kind === 'category') {
+    const category = await findCategoryForAccess(id);
+    return Boolean(category) && canReadCategory(user, category);
+  }
+  return true;
+};
+
+exports.stream = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const threadIds = [...new Set(idList(req.query.threads))];
+    const categoryIds = [...new Set(idList(req.query.categories))];
+    if (threadIds.length + categoryIds.length > maxChannels) {
+      return res.status(400).json({ message: `At most ${maxChannels} threads and categories per stream` });
+    }
+    if (connectionCount({ user: req.user, ip: req.ip }) >= maxConnections) {
+      return res.status(429).json({ message: 'Too many open event streams' });
+    }
+
+    const channelNames = [];
+    for (const id of threadIds) {
+      const thread = await Thread.findById(id).select('author category isHidden');
+      if (!thread || !(await canViewThread(req.user, thread))) {
+        return res.status(404).json({ message: 'Thread not found', thread: id });
+      }
+      channelNames.push(threadChannel(id));
+    }
+    for (const id of categoryIds) {
+      const category = await findCategoryForAccess(id);
+      if (!category || !(await canReadCategory(req.user, category))) {
+        return res.status(404).json({ message: 'Category not found', category: id });
+      }
+      channelNames.push(categoryChannel(id));
+    }
+    if (req.query.notifications === 'true') {
+      if (!req.user) {
+        return res.status(401).json({ message: 'Authentication required' });
+      }
+      channelNames.push(userChannel(req.user._id));
+    }
+    if (channelNames.length === 0) {
+      return res.status(400).json({ message: 'Subscribe to at least one thread, category or your notifications' });
+    }
+
+    connect({
+      req,
+      res,
+      user: req.user,
+      sessionId: req.authInfo && req.authInfo.sessionId,
+      channelNames,
+      authorize: canStillListen(req.user)
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
@@ -0,0 +1,123 @@
+const { validationResult } = require('express-validator');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { encodeCursor, decodeCursor, afterCursor } = require('../utils/cursor');
+const { presentNotification } = require('../utils/notifications');
+
+const PREFERENCE_TYPES = ['reply', 'nested_reply', 'mention', 'vote_milestone', 'moderation', 'accepted_answer', 'watch'];
+
+// Newest activity first; coalescing moves a notification back to the top
+const SORT_FIELD = 'updatedAt';
+
+exports.list = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const limit = parseInt(req.query.limit) || 20;
+
+    const query = { recipient: req.user._id };
+    if (req.query.unread === 'true') {
+      query.isRead = false;
+    }
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor, SORT_FIELD);
+      if (!cursor) {
+        return res.status(400).json({ message: 'Invalid cursor' });
+      }
+      Object.assign(query, afterCursor(cursor, SORT_FIELD, -1));
+    }
+
+    const page = await Notification.find(query)
+      .populate('actors', 'username avatar')
+      .populate('thread', 'title')
+      .sort({ [SORT_FIELD]: -1, _id: -1 })
+      .limit(limit + 1);
+    const hasMore = page.length > limit;
+    const notifications = page.slice(0, limit);
+    const unreadCount = await Notification.countDocuments({ recipient: req.user._id, isRead: false });
+
+    res.json({
+      notifications: notifications.map(presentNotification),
+      unreadCount,
+      nextCursor: hasMore ? encodeCursor(notifications[notifications.length - 1], SORT_FIELD) : null,
+      hasMore
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+exports.unreadCount = async (req, res) => {
+  try {
+    const unreadCount = await Notification.countDocuments({ recipient: req.user._id, isRead: false });
+    res.json({ unreadCount });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+exports.markRead = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, recipient: req.user._id },
+      [{ $set: { isRead: true, readAt: { $ifNull: ['$readAt', '$$NOW'] } } }],
+      { new: true }
+    );
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+    res.json({ message: 'Notification marked as read', notification });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+exports.markAllRead = async (req, res) => {
+  try {
+    const { modifiedCount } = await Notification.updateMany(
+      { recipient: req.user._id, isRead: false },
+      { $set: { isRead: true, readAt: new Date() } }
+    );
+    res.json({ message: 'All notifications marked as read', updated: modifiedCount });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+exports.getPreferences = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('notificationPreferences');
+    res.json(user.notificationPreferences);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+exports.updatePreferences = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const updates = {};
+    for (const type of PREFERENCE_TYPES) {
+      if (req.body[type] !== undefined) {
+        updates[`notificationPreferences.${type}`] = req.body[type];
+      }
+    }
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: updates },
+      { new: true }
+    ).select('notificationPreferences');
+    res.json({ message: 'Notification preferences updated successfully', preferences: user.notificationPreferences });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
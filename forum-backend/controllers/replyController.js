@@ -1,5 +1,140 @@
 const { validationResult } = require('express-validator');
 const Thread = require('../models/Threads');
+const Reply = require('../models/Reply');
+const { recordModerationAction } = require('../utils/auditLog');
+const { buildTree, mapReplies, presentReply } = require('../utils/replyTree');
+const { encodeCursor, decodeCursor, afterCursor } = require('../utils/cursor');
+const { can, sendForbidden } = require('../utils/permissions');
+const { canReadCategory, canPostInCategory, findCategoryForAccess } = require('../utils/categoryAccess');
+const { recordCategoryActivity, refreshCategories } = require('../utils/categoryStats');
+const { recordReputation } = require('../utils/reputation');
+const { notifyReply, notifyModeration, notifyAcceptedAnswer } = require('../utils/notifications');
+const { resolveMentions, notifyMentions } = require('../utils/mentions');
+const { renderMarkdown } = require('../utils/markdown');
+const { autoWatchThread, notifyReplyWatchers } = require('../utils/subscriptions');
+const { publish, publishToThread, categoryChannel } = require('../utils/realtime');
+const reputationPoints = require('../config/reputation');
+
+const REPLY_SORTS = {
+  oldest: { field: 'createdAt', direction: 1 },
+  newest: { field: 'createdAt', direction: -1 },
+  top: { field: 'score', direction: -1 },
+  controversial: { field: 'controversy', direction: -1 }
+};
+
+// Loads one page of replies directly under `parent` (null for top-level) plus
+// their descendants up to `depth` levels; branches cut off by the depth limit
+// report how many replies they hide in `moreReplies`.
+const loadReplyPage = async ({ thread, parent, cursor, limit, depth, sort }) => {
+  const { field, direction } = REPLY_SORTS[sort];
+  const order = { [field]: direction, _id: direction };
+
+  const query = { thread: thread._id, parent: parent ? parent._id : null };
+  if (cursor) {
+    Object.assign(query, afterCursor(cursor, field, direction));
+  }
+  const page = await Reply.find(query)
+    .populate('author', 'username avatar reputation')
+    .sort(order)
+    .limit(limit + 1);
+
+  const hasMore = page.length > limit;
+  const roots = page.slice(0, limit);
+
+  const baseDepth = parent ? parent.depth + 1 : 0;
+  const maxDepth = baseDepth + depth - 1;
+  const descendants = roots.length > 0 && depth > 1
+    ? await Reply.find({
+      thread: thread._id,
+      path: { $in: roots.map(root => new RegExp(`^${root.childPath}`)) },
+      depth: { $lte: maxDepth }
+    })
+      .populate('author', 'username avatar reputation')
+      .sort(order)
+    : [];
+
+  const replies = buildTree([...roots, ...descendants]);
+  const withCounts = mapReplies(replies, reply => ({
+    ...reply,
+    moreReplies: reply.depth >= maxDepth ? reply.childCount : 0
+  }));
+
+  return {
+    replies: withCounts,
+    nextCursor: hasMore ? encodeCursor(roots[roots.length - 1], field) : null,
+    hasMore
+  };
+};
+
+const sendReplyPage = async (req, res, parentId) => {
+  const thread = await Thread.findById(req.params.id);
+  if (!thread) {
+    return res.status(404).json({ message: 'Thread not found' });
+  }
+  const category = await findCategoryForAccess(thread.category);
+  if (category && !(await canReadCategory(req.user, category))) {
+    return res.status(404).json({ message: 'Thread not found' });
+  }
+  const moderator = await can(req.user, 'reply.view.hidden', thread);
+  const isThreadAuthor = req.user && thread.author.toString() === req.user._id.toString();
+  if (thread.isHidden && !moderator && !isThreadAuthor) {
+    return res.status(404).json({ message: 'Thread not found' });
+  }
+
+  let parent = null;
+  if (parentId) {
+    parent = await Reply.findOne({ _id: parentId, thread: thread._id });
+    if (!parent) {
+      return res.status(404).json({ message: 'Reply not found' });
+    }
+  }
+
+  const sort = req.query.sort || 'oldest';
+  let cursor = null;
+  if (req.query.cursor) {
+    cursor = decodeCursor(req.query.cursor, REPLY_SORTS[sort].field);
+    if (!cursor) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+  }
+
+  const result = await loadReplyPage({
+    thread,
+    parent,
+    cursor,
+    limit: parseInt(req.query.limit) || 20,
+    depth: parseInt(req.query.depth) || 3,
+    sort
+  });
+  if (!moderator) {
+    result.replies = mapReplies(result.replies, presentReply);
+  }
+  res.json(result);
+};
+
+exports.list = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    await sendReplyPage(req, res, null);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+exports.listChildren = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    await sendReplyPage(req, res, req.params.replyId);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
 
 exports.create = async (req, res) => {
   try {
@@ -10,49 +145,74 @@ exports.create = async (req, res) => {
 
     const { content, parentReply } = req.body;
     const thread = await Thread.findById(req.params.threadId);
-    if (!thread) {
+    if (!thread || thread.isDeleted) {
+      return res.status(404).json({ message: 'Thread not found' });
+    }
+    const category = await findCategoryForAccess(thread.category);
+    if (category && !(await canReadCategory(req.user, category))) {
+      return res.status(404).json({ message: 'Thread not found' });
+    }
+    // Threads hidden pending review take no new replies except from moderators
+    if (thread.isHidden && !(await can(req.user, 'thread.view.hidden', thread))) {
       return res.status(404).json({ message: 'Thread not found' });
     }
+    if (category && !(await canPostInCategory(req.user, category))) {
+      return res.status(403).json({ message: 'You cannot post in this category' });
+    }
     if (thread.isLocked) {
       return res.status(403).json({ message: 'Thread is locked' });
     }
 
-    const reply = {
-      content,
-      author: req.user._id,
-      parentReply: parentReply || null,
-      votes: [],
-      replies: []
-    };
-
+    let parent = null;
     if (parentReply) {
-      const findAndAddReply = (replies, parentId, newReply) => {
-        for (let i = 0; i < replies.length; i++) {
-          if (replies[i]._id.toString() === parentId) {
-            replies[i].replies.push(newReply);
-            return true;
-          }
-          if (replies[i].replies.length > 0) {
-            if (findAndAddReply(replies[i].replies, parentId, newReply)) {
-              return true;
-            }
-          }
-        }
-        return false;
-      };
-
-      if (!findAndAddReply(thread.replies, parentReply, reply)) {
+      parent = await Reply.findOne({ _id: parentReply, thread: thread._id });
+      if (!parent) {
         return res.status(404).json({ message: 'Parent reply not found' });
       }
-    } else {
-      thread.replies.push(reply);
     }
 
-    await thread.save();
-    await thread.populate('replies.author', 'username avatar reputation');
-    await thread.populate('replies.replies.author', 'username avatar reputation');
+    const reply = new Reply({
+      thread: thread._id,
+      parent: parent ? parent._id : null,
+      path: parent ? parent.childPath : '',
+      depth: parent ? parent.depth + 1 : 0,
+      content,
+      contentHtml: renderMarkdown(content),
+      mentions: await resolveMentions(content),
+      author: req.user._id
+    });
+
+    await reply.save();
+    await Thread.updateOne({ _id: thread._id }, { $inc: { replyCount: 1 } });
+    if (parent) {
+      await Reply.updateOne({ _id: parent._id }, { $inc: { childCount: 1 } });
+    }
+    await recordCategoryActivity(thread.category, { replies: 1, thread: thread._id, user: req.user._id });
+    await notifyReply(reply, thread, parent);
+    await notifyMentions({
+      mentions: reply.mentions,
+      actor: req.user._id,
+      category,
+      thread: thread._id,
+      reply: reply._id
+    });
+    await notifyReplyWatchers({
+      thread,
+      reply,
+      category,
+      actor: req.user._id,
+      skip: [thread.author, ...(parent ? [parent.author] : []), ...reply.mentions.map(mention => mention.user)]
+    });
+    await autoWatchThread(req.user._id, thread._id);
+    await reply.populate('author', 'username avatar reputation');
+    publishToThread(thread._id, 'reply.created', { reply });
+    publish(categoryChannel(thread.category), 'thread.activity', {
+      thread: thread._id,
+      replyCount: thread.replyCount + 1,
+      lastActivityAt: reply.createdAt
+    });
 
-    res.status(201).json({ message: 'Reply added successfully', thread });
+    res.status(201).json({ message: 'Reply added successfully', reply });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
@@ -67,84 +227,292 @@ exports.update = async (req, res) => {
 
     const { content } = req.body;
     const thread = await Thread.findById(req.params.threadId);
+    if (!thread || thread.isDeleted) {
+      return res.status(404).json({ message: 'Thread not found' });
+    }
+    // Editing is posting: the same thread state and category rules as a new reply apply
+    const category = await findCategoryForAccess(thread.category);
+    if (category && !(await canReadCategory(req.user, category))) {
+      return res.status(404).json({ message: 'Thread not found' });
+    }
+    if (thread.isHidden && !(await can(req.user, 'thread.view.hidden', thread))) {
+      return res.status(404).json({ message: 'Thread not found' });
+    }
+    if (category && !(await canPostInCategory(req.user, category))) {
+      return res.status(403).json({ message: 'You cannot post in this category' });
+    }
+    if (thread.isLocked) {
+      return res.status(403).json({ message: 'Thread is locked' });
+    }
+
+    const reply = await Reply.findOne({ _id: req.params.replyId, thread: req.params.threadId });
+    if (!reply || reply.isDeleted) {
+      return res.status(404).json({ message: 'Reply not found' });
+    }
+    if (!(await can(req.user, 'reply.edit', reply))) {
+      return sendForbidden(res, req.user);
+    }
+
+    // Conditional update so an edit cannot resurrect a reply deleted in the meantime
+    const contentHtml = renderMarkdown(content);
+    const mentions = await resolveMentions(content);
+    const { modifiedCount } = await Reply.updateOne(
+      { _id: reply._id, author: req.user._id, isDeleted: { $ne: true } },
+      { $set: { content, contentHtml, mentions, isEdited: true, editedAt: new Date() } }
+    );
+    if (modifiedCount === 0) {
+      return res.status(404).json({ message: 'Reply not found' });
+    }
+    await notifyMentions({
+      mentions,
+      actor: req.user._id,
+      category,
+      thread: thread._id,
+      reply: reply._id
+    });
+    // Hidden replies stay hidden from everyone following the thread
+    publishToThread(thread._id, 'reply.updated', reply.isHidden
+      ? { reply: reply._id }
+      : { reply: reply._id, content, contentHtml, mentions, editedAt: new Date() });
+    res.json({ message: 'Reply updated successfully', contentHtml, mentions });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+exports.remove = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const thread = await Thread.findById(req.params.threadId);
     if (!thread) {
       return res.status(404).json({ message: 'Thread not found' });
     }
 
-    const findAndUpdateReply = (replies, replyId, newContent, userId) => {
-      for (let i = 0; i < replies.length; i++) {
-        if (replies[i]._id.toString() === replyId) {
-          if (replies[i].author.toString() !== userId) {
-            throw new Error('Not authorized');
-          }
-          replies[i].content = newContent;
-          replies[i].isEdited = true;
-          replies[i].editedAt = new Date();
-          return true;
-        }
-        if (replies[i].replies.length > 0) {
-          if (findAndUpdateReply(replies[i].replies, replyId, newContent, userId)) {
-            return true;
-          }
-        }
-      }
-      return false;
-    };
+    const reply = await Reply.findOne({ _id: req.params.replyId, thread: thread._id });
+    if (!reply || reply.isDeleted) {
+      return res.status(404).json({ message: 'Reply not found' });
+    }
+    const isAuthor = reply.author.toString() === req.user._id.toString();
+    if (!(await can(req.user, 'reply.delete', { author: reply.author, category: thread.category }))) {
+      return sendForbidden(res, req.user);
+    }
 
-    try {
-      if (!findAndUpdateReply(thread.replies, req.params.replyId, content, req.user._id.toString())) {
-        return res.status(404).json({ message: 'Reply not found' });
-      }
-    } catch (error) {
-      return res.status(403).json({ message: error.message });
+    // Replies are soft-deleted so their nested children stay in the tree
+    const { modifiedCount } = await Reply.updateOne(
+      { _id: reply._id, isDeleted: { $ne: true } },
+      { $set: { isDeleted: true, deletedAt: new Date(), deletedBy: req.user._id } }
+    );
+    if (modifiedCount === 0) {
+      return res.status(404).json({ message: 'Reply not found' });
     }
+    await refreshCategories(thread.category);
 
-    await thread.save();
-    res.json({ message: 'Reply updated successfully' });
+    if (!isAuthor) {
+      await recordModerationAction({
+        actor: req.user._id,
+        action: 'reply.delete',
+        targetType: 'reply',
+        targetId: reply._id,
+        thread: thread._id,
+        reason: req.body.reason,
+        before: { content: reply.content, author: reply.author, isDeleted: false },
+        after: { isDeleted: true }
+      });
+      await notifyModeration({
+        recipient: reply.author,
+        actor: req.user._id,
+        action: 'reply.delete',
+        reason: req.body.reason,
+        thread: thread._id,
+        reply: reply._id
+      });
+    }
+    publishToThread(thread._id, 'reply.deleted', { reply: reply._id });
+    res.json({ message: 'Reply deleted successfully' });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 };
 
-exports.remove = async (req, res) => {
+exports.restore = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
     const thread = await Thread.findById(req.params.threadId);
     if (!thread) {
       return res.status(404).json({ message: 'Thread not found' });
     }
 
-    const findAndRemoveReply = (replies, replyId, userId, isAdmin) => {
-      for (let i = 0; i < replies.length; i++) {
-        if (replies[i]._id.toString() === replyId) {
-          if (replies[i].author.toString() !== userId && !isAdmin) {
-            throw new Error('Not authorized');
-          }
-          replies.splice(i, 1);
-          return true;
-        }
-        if (replies[i].replies.length > 0) {
-          if (findAndRemoveReply(replies[i].replies, replyId, userId, isAdmin)) {
-            return true;
-          }
-        }
-      }
-      return false;
-    };
+    if (!(await can(req.user, 'reply.restore', thread))) {
+      return sendForbidden(res, req.user);
+    }
+
+    const reply = await Reply.findOne({ _id: req.params.replyId, thread: thread._id });
+    if (!reply) {
+      return res.status(404).json({ message: 'Reply not found' });
+    }
+    if (!reply.isDeleted) {
+      return res.status(400).json({ message: 'Reply is not deleted' });
+    }
+
+    const before = { isDeleted: true, deletedAt: reply.deletedAt, deletedBy: reply.deletedBy };
+    const { modifiedCount } = await Reply.updateOne(
+      { _id: reply._id, isDeleted: true },
+      { $set: { isDeleted: false }, $unset: { deletedAt: '', deletedBy: '' } }
+    );
+    if (modifiedCount === 0) {
+      return res.status(400).json({ message: 'Reply is not deleted' });
+    }
+    await refreshCategories(thread.category);
 
-    try {
-      const isAdmin = req.user.role === 'admin';
-      if (!findAndRemoveReply(thread.replies, req.params.replyId, req.user._id.toString(), isAdmin)) {
-        return res.status(404).json({ message: 'Reply not found' });
+    await recordModerationAction({
+      actor: req.user._id,
+      action: 'reply.restore',
+      targetType: 'reply',
+      targetId: reply._id,
+      thread: thread._id,
+      reason: req.body.reason,
+      before,
+      after: { isDeleted: false }
+    });
+    await notifyModeration({
+      recipient: reply.author,
+      actor: req.user._id,
+      action: 'reply.restore',
+      reason: req.body.reason,
+      thread: thread._id,
+      reply: reply._id
+    });
+    publishToThread(thread._id, 'reply.restored', { reply: reply._id });
+    res.json({ message: 'Reply restored successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+const awardAcceptedAnswer = (reply, thread, actor, accepted) => {
+  // Accepting your own answer on your own question earns nothing
+  if (reply.author.toString() === thread.author.toString()) {
+    return null;
+  }
+  return recordReputation({
+    user: reply.author,
+    source: 'accepted_answer',
+    delta: accepted ? reputationPoints.accepted_answer : -reputationPoints.accepted_answer,
+    reason: accepted ? undefined : 'Answer unaccepted',
+    actor,
+    thread: thread._id,
+    reply: reply._id
+  });
+};
+
+exports.accept = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const thread = await Thread.findById(req.params.threadId);
+    if (!thread || thread.isDeleted) {
+      return res.status(404).json({ message: 'Thread not found' });
+    }
+    const isThreadAuthor = thread.author.toString() === req.user._id.toString();
+    // The thread is the resource: accepting is "own" for the thread's author
+    if (!(await can(req.user, 'reply.accept', thread))) {
+      return sendForbidden(res, req.user);
+    }
+
+    const reply = await Reply.findOne({ _id: req.params.replyId, thread: thread._id });
+    if (!reply || reply.isDeleted) {
+      return res.status(404).json({ message: 'Reply not found' });
+    }
+
+    // Swap atomically and learn which reply (if any) was accepted before
+    const previous = await Thread.findOneAndUpdate(
+      { _id: thread._id, acceptedReply: { $ne: reply._id } },
+      { $set: { acceptedReply: reply._id, acceptedAt: new Date(), acceptedBy: req.user._id } }
+    ).select('acceptedReply author');
+    if (!previous) {
+      return res.status(400).json({ message: 'Reply is already the accepted answer' });
+    }
+
+    if (previous.acceptedReply) {
+      const previousReply = await Reply.findById(previous.acceptedReply).select('author');
+      if (previousReply) {
+        await awardAcceptedAnswer(previousReply, thread, req.user._id, false);
       }
-    } catch (error) {
-      return res.status(403).json({ message: error.message });
     }
+    await awardAcceptedAnswer(reply, thread, req.user._id, true);
+    await notifyAcceptedAnswer(reply, thread, req.user._id);
 
-    await thread.save();
-    res.json({ message: 'Reply deleted successfully' });
+    if (!isThreadAuthor) {
+      await recordModerationAction({
+        actor: req.user._id,
+        action: 'reply.accept',
+        targetType: 'reply',
+        targetId: reply._id,
+        thread: thread._id,
+        before: { acceptedReply: previous.acceptedReply },
+        after: { acceptedReply: reply._id }
+      });
+    }
+
+    publishToThread(thread._id, 'thread.updated', { acceptedReply: reply._id });
+    res.json({ message: 'Answer accepted successfully', acceptedReply: reply._id });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 };
 
+exports.unaccept = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const thread = await Thread.findById(req.params.threadId);
+    if (!thread || thread.isDeleted) {
+      return res.status(404).json({ message: 'Thread not found' });
+    }
+    const isThreadAuthor = thread.author.toString() === req.user._id.toString();
+    // The thread is the resource: accepting is "own" for the thread's author
+    if (!(await can(req.user, 'reply.accept', thread))) {
+      return sendForbidden(res, req.user);
+    }
+
+    const { modifiedCount } = await Thread.updateOne(
+      { _id: thread._id, acceptedReply: req.params.replyId },
+      { $set: { acceptedReply: null }, $unset: { acceptedAt: '', acceptedBy: '' } }
+    );
+    if (modifiedCount === 0) {
+      return res.status(400).json({ message: 'Reply is not the accepted answer' });
+    }
 
+    const reply = await Reply.findById(req.params.replyId).select('author');
+    if (reply) {
+      await awardAcceptedAnswer(reply, thread, req.user._id, false);
+    }
+
+    if (!isThreadAuthor) {
+      await recordModerationAction({
+        actor: req.user._id,
+        action: 'reply.unaccept',
+        targetType: 'reply',
+        targetId: req.params.replyId,
+        thread: thread._id,
+        before: { acceptedReply: req.params.replyId },
+        after: { acceptedReply: null }
+      });
+    }
+
+    publishToThread(thread._id, 'thread.updated', { acceptedReply: null });
+    res.json({ message: 'Answer unaccepted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
@@ -0,0 +1,254 @@
+const { validationResult } = require('express-validator');
+const Report = require('../models/Report');
+const Thread = require('../models/Threads');
+const Reply = require('../models/Reply');
+const { reportHideThreshold } = require('../config/moderation');
+const { recordModerationAction } = require('../utils/auditLog');
+const { canReadCategory, findCategoryForAccess } = require('../utils/categoryAccess');
+const { recheckAccess, threadChannel } = require('../utils/realtime');
+
+// Flips visibility only if it is not already in the requested state, so
+// concurrent reports or reviews settle on a single change
+const setTargetHidden = async (target, hidden) => {
+  if (!target) {
+    return false;
+  }
+  const update = hidden
+    ? { $set: { isHidden: true, hiddenAt: new Date() } }
+    : { $set: { isHidden: false }, $unset: { hiddenAt: '' } };
+  const { modifiedCount } = await target.constructor.updateOne(
+    { _id: target._id, isHidden: hidden ? { $ne: true } : true },
+    update
+  );
+  if (hidden && modifiedCount > 0 && target instanceof Thread) {
+    recheckAccess([threadChannel(target._id)]);
+  }
+  return modifiedCount > 0;
+};
+
+const findTarget = (threadId, replyId) => (
+  replyId ? Reply.findOne({ _id: replyId, thread: threadId }) : Thread.findById(threadId)
+);
+
+// Deleted threads and ones in categories the reporter cannot read look the same: not found
+const findReportableThread = async (user, threadId) => {
+  const thread = await Thread.findOne({ _id: threadId, isDeleted: { $ne: true } });
+  if (!thread) {
+    return null;
+  }
+  const category = await findCategoryForAccess(thread.category);
+  if (category && !(await canReadCategory(user, category))) {
+    return null;
+  }
+  return thread;
+};
+
+const fileReport = async (req, res, thread, replyId) => {
+  const target = replyId ? await findTarget(thread._id, replyId) : thread;
+  if (!target || target.isDeleted) {
+    return res.status(404).json({ message: 'Reply not found' });
+  }
+  if (target.author.toString() === req.user._id.toString()) {
+    return res.status(400).json({ message: 'You cannot report your own content' });
+  }
+
+  const targetQuery = { thread: thread._id, reply: replyId || null, status: 'open' };
+  const alreadyReported = await Report.exists({ ...targetQuery, reporter: req.user._id });
+  if (alreadyReported) {
+    return res.status(409).json({ message: 'You have already reported this content' });
+  }
+
+  const { reason, details } = req.body;
+  const report = await Report.create({
+    reporter: req.user._id,
+    targetType: replyId ? 'reply' : 'thread',
+    thread: thread._id,
+    reply: replyId || null,
+    reason,
+    details
+  });
+
+  const openReports = await Report.countDocuments(targetQuery);
+  if (openReports >= reportHideThreshold) {
+    await setTargetHidden(target, true);
+  }
+
+  res.status(201).json({ message: 'Report submitted successfully', report });
+};
+
+exports.reportThread = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const thread = await findReportableThread(req.user, req.params.id);
+    if (!thread) {
+      return res.status(404).json({ message: 'Thread not found' });
+    }
+    await fileReport(req, res, thread, null);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'You have already reported this content' });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+exports.reportReply = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const thread = await findReportableThread(req.user, req.params.threadId);
+    if (!thread) {
+      return res.status(404).json({ message: 'Thread not found' });
+    }
+    await fileReport(req, res, thread, req.params.replyId);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'You have already reported this content' });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+exports.getQueue = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const match = { status: 'open' };
+    if (req.query.targetType) {
+      match.targetType = req.query.targetType;
+    }
+
+    const grouping = [
+      { $match: match },
+      {
+        $group: {
+          _id: { targetType: '$targetType', thread: '$thread', reply: '$reply' },
+          count: { $sum: 1 },
+          reasons: { $addToSet: '$reason' },
+          firstReportedAt: { $min: '$createdAt' },
+          lastReportedAt: { $max: '$createdAt' },
+          reports: {
+            $push: {
+              _id: '$_id',
+              reporter: '$reporter',
+              reason: '$reason',
+              details: '$details',
+              createdAt: '$createdAt'
+            }
+          }
+        }
+      }
+    ];
+
+    const groups = await Report.aggregate([
+      ...grouping,
+      { $sort: { count: -1, lastReportedAt: -1 } },
+      { $skip: skip },
+      { $limit: limit }
+    ]);
+    const [{ total = 0 } = {}] = await Report.aggregate([...grouping, { $count: 'total' }]);
+
+    await Report.populate(groups, { path: 'reports.reporter', select: 'username', model: 'User' });
+
+    const threads = await Thread.find({ _id: { $in: groups.map(group => group._id.thread) } })
+      .populate('author', 'username');
+    const replies = await Reply.find({ _id: { $in: groups.map(group => group._id.reply).filter(Boolean) } })
+      .populate('author', 'username');
+    const threadsById = new Map(threads.map(thread => [thread._id.toString(), thread]));
+    const repliesById = new Map(replies.map(reply => [reply._id.toString(), reply]));
+
+    const queue = groups.map(group => {
+      const thread = threadsById.get(group._id.thread.toString());
+      const target = group._id.reply ? repliesById.get(group._id.reply.toString()) : thread;
+      return {
+        targetType: group._id.targetType,
+        thread: group._id.thread,
+        reply: group._id.reply,
+        count: group.count,
+        reasons: group.reasons,
+        firstReportedAt: group.firstReportedAt,
+        lastReportedAt: group.lastReportedAt,
+        target: target ? {
+          title: thread ? thread.title : null,
+          content: target.content,
+          author: target.author,
+          isHidden: Boolean(target.isHidden)
+        } : null,
+        reports: group.reports
+      };
+    });
+
+    res.json({
+      queue,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+const review = (status) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const report = await Report.findById(req.params.id);
+    if (!report) {
+      return res.status(404).json({ message: 'Report not found' });
+    }
+    if (report.status !== 'open') {
+      return res.status(400).json({ message: `Report has already been ${report.status}` });
+    }
+
+    const { note } = req.body;
+    const targetQuery = { thread: report.thread, reply: report.reply, status: 'open' };
+    const { modifiedCount } = await Report.updateMany(targetQuery, {
+      status,
+      reviewedBy: req.user._id,
+      reviewedAt: new Date(),
+      resolutionNote: note
+    });
+
+    // Upheld reports keep the content hidden; dismissed reports restore it
+    const isHidden = status === 'resolved';
+    let visibilityChanged = false;
+    const target = await findTarget(report.thread, report.reply);
+    if (target) {
+      visibilityChanged = await setTargetHidden(target, isHidden);
+    }
+
+    await recordModerationAction({
+      actor: req.user._id,
+      action: status === 'resolved' ? 'report.resolve' : 'report.dismiss',
+      targetType: report.targetType,
+      targetId: report.reply || report.thread,
+      thread: report.thread,
+      reason: note,
+      before: { openReports: modifiedCount, isHidden: visibilityChanged ? !isHidden : isHidden },
+      after: { openReports: 0, isHidden }
+    });
+
+    res.json({
+      message: `Reports ${status} successfully`,
+      reportsClosed: modifiedCount
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+exports.resolve = review('resolved');
+exports.dismiss = review('dismissed');
@@ -0,0 +1,198 @@
+const { validationResult } = require('express-validator');
+const Thread = require('../models/Threads');
+const Reply = require('../models/Reply');
+const User = require('../models/User');
+const Tag = require('../models/Tag');
+const Category = require('../models/Category');
+const { parseSearchQuery, toTextSearch } = require('../utils/searchQuery');
+const { highlight, escapeRegExp } = require('../utils/highlight');
+const searchConfig = require('../config/search');
+const { hiddenCategoryIds, excludeCategories } = require('../utils/categoryAccess');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const THREAD_FIELDS = 'title content author category tags createdAt replyCount acceptedReply';
+const REPLIES_PER_RESULT = 3;
+
+// Turns author:/tag:/category:/is: filters into query conditions; null means nothing can match
+const resolveFilters = async (filters, user) => {
+  const threadQuery = { isDeleted: { $ne: true }, isHidden: { $ne: true } };
+  const hiddenCategories = await hiddenCategoryIds(user);
+  let author;
+
+  if (filters.author) {
+    const user = await User.findOne({ username: filters.author }).select('_id');
+    if (!user) return null;
+    author = user._id;
+  }
+  if (filters.tag) {
+    const tag = await Tag.findOne({ name: filters.tag.toLowerCase() }).select('_id');
+    if (!tag) return null;
+    threadQuery.tags = tag._id;
+  }
+  if (filters.category) {
+    const category = await Category.findOne({
+      name: { $regex: new RegExp(`^${escapeRegExp(filters.category)}$`, 'i') }
+    }).select('_id');
+    if (!category || hiddenCategories.some(id => id.equals(category._id))) return null;
+    threadQuery.category = category._id;
+  }
+  // Reply matches are checked against threadQuery too, so this covers both
+  excludeCategories(threadQuery, hiddenCategories);
+  if (filters.is === 'solved') {
+    threadQuery.acceptedReply = { $ne: null };
+  } else if (filters.is === 'unsolved') {
+    threadQuery.acceptedReply = null;
+  }
+
+  return { threadQuery, author };
+};
+
+const recency = (date, now) => {
+  const ageDays = Math.max(0, now - new Date(date).getTime()) / DAY_MS;
+  return Math.pow(0.5, ageDays / searchConfig.recencyHalfLifeDays);
+};
+
+const populateThreads = (threads) => Thread.populate(threads, [
+  { path: 'author', select: 'username avatar' },
+  { path: 'category', select: 'name color' },
+  { path: 'tags', select: 'name color' }
+]);
+
+const presentResult = ({ thread, score, replies }, words) => ({
+  thread: {
+    _id: thread._id,
+    title: thread.title,
+    author: thread.author,
+    category: thread.category,
+    tags: thread.tags,
+    replyCount: thread.replyCount,
+    isSolved: Boolean(thread.acceptedReply),
+    createdAt: thread.createdAt
+  },
+  score,
+  highlights: {
+    title: highlight(thread.title, words, 200),
+    content: highlight(thread.content, words)
+  },
+  replies: replies.map(reply => ({
+    _id: reply._id,
+    author: reply.author,
+    createdAt: reply.createdAt,
+    snippet: highlight(reply.content, words)
+  }))
+});
+
+exports.search = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const parsed = parseSearchQuery(req.query.q);
+    const textSearch = toTextSearch(parsed);
+    // MongoDB can only exclude words from a text search, so exclusions need something to match
+    if (!textSearch && parsed.excluded.length > 0) {
+      return res.status(400).json({ message: 'Add at least one search term to go with excluded words' });
+    }
+    const words = [...parsed.terms, ...parsed.phrases];
+    const resolved = await resolveFilters(parsed.filters, req.user);
+
+    const respond = (results, total) => res.json({
+      query: parsed,
+      results,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+
+    if (!resolved) {
+      return respond([], 0);
+    }
+    const { threadQuery, author } = resolved;
+
+    // Filters alone: newest matching threads first
+    if (!textSearch) {
+      const query = author ? { ...threadQuery, author } : threadQuery;
+      const threads = await Thread.find(query)
+        .select(THREAD_FIELDS)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean();
+      const total = await Thread.countDocuments(query);
+      await populateThreads(threads);
+      return respond(threads.map(thread => presentResult({ thread, score: 0, replies: [] }, words)), total);
+    }
+
+    const textQuery = { $text: { $search: textSearch } };
+    const scoreProjection = { score: { $meta: 'textScore' } };
+
+    const threadHits = await Thread.find({ ...threadQuery, ...textQuery, ...(author && { author }) }, scoreProjection)
+      .select(THREAD_FIELDS)
+      .sort(scoreProjection)
+      .limit(searchConfig.candidateLimit)
+      .lean();
+
+    const replyHits = await Reply.find({
+      ...textQuery,
+      isDeleted: { $ne: true },
+      isHidden: { $ne: true },
+      ...(author && { author })
+    }, scoreProjection)
+      .select('thread content author createdAt')
+      .sort(scoreProjection)
+      .limit(searchConfig.candidateLimit)
+      .lean();
+
+    const results = new Map();
+    for (const thread of threadHits) {
+      results.set(thread._id.toString(), { thread, relevance: thread.score, lastActivity: thread.createdAt, replies: [] });
+    }
+
+    // Reply matches only count when their thread passes the thread-level filters
+    const missingThreadIds = [...new Set(replyHits.map(reply => reply.thread.toString()))]
+      .filter(id => !results.has(id));
+    const replyThreads = missingThreadIds.length > 0
+      ? await Thread.find({ ...threadQuery, _id: { $in: missingThreadIds } }).select(THREAD_FIELDS).lean()
+      : [];
+    const replyThreadsById = new Map(replyThreads.map(thread => [thread._id.toString(), thread]));
+
+    for (const reply of replyHits) {
+      const threadId = reply.thread.toString();
+      let result = results.get(threadId);
+      if (!result) {
+        const thread = replyThreadsById.get(threadId);
+        if (!thread) continue;
+        result = { thread, relevance: 0, lastActivity: thread.createdAt, replies: [] };
+        results.set(threadId, result);
+      }
+      result.relevance = Math.max(result.relevance, reply.score * searchConfig.replyMatchWeight);
+      if (reply.createdAt > result.lastActivity) {
+        result.lastActivity = reply.createdAt;
+      }
+      if (result.replies.length < REPLIES_PER_RESULT) {
+        result.replies.push(reply);
+      }
+    }
+
+    const now = Date.now();
+    const ranked = [...results.values()];
+    const maxRelevance = Math.max(...ranked.map(result => result.relevance), 1e-9);
+    for (const result of ranked) {
+      result.score = (1 - searchConfig.recencyWeight) * (result.relevance / maxRelevance)
+        + searchConfig.recencyWeight * recency(result.lastActivity, now);
+    }
+    ranked.sort((a, b) => b.score - a.score);
+
+    const pageResults = ranked.slice(skip, skip + limit);
+    await populateThreads(pageResults.map(result => result.thread));
+    await Reply.populate(pageResults.flatMap(result => result.replies), { path: 'author', select: 'username avatar' });
+
+    respond(pageResults.map(result => presentResult(result, words)), ranked.length);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
@@ -0,0 +1,133 @@
+const { validationResult } = require('express-validator');
+const Subscription = require('../models/Subscription');
+const Thread = require('../models/Threads');
+const Tag = require('../models/Tag');
+const User = require('../models/User');
+const { canReadCategory, findCategoryForAccess } = require('../utils/categoryAccess');
+
+const TARGET_LABELS = { thread: 'Thread', category: 'Category', tag: 'Tag' };
+
+// Whether the target exists and the user can see it; users cannot watch what they cannot read
+const canWatch = async (user, targetType, targetId) => {
+  if (targetType === 'tag') {
+    return Boolean(await Tag.exists({ _id: targetId }));
+  }
+  let categoryId = targetId;
+  if (targetType === 'thread') {
+    const thread = await Thread.findOne({ _id: targetId, isDeleted: { $ne: true } }).select('category');
+    if (!thread) {
+      return false;
+    }
+    categoryId = thread.category;
+  }
+  const category = await findCategoryForAccess(categoryId);
+  return Boolean(category && await canReadCategory(user, category));
+};
+
+exports.list = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const query = { user: req.user._id };
+    if (req.query.targetType) {
+      query.targetType = req.query.targetType;
+    }
+    const subscriptions = await Subscription.find(query)
+      .populate('target', 'title name color')
+      .sort({ updatedAt: -1 })
+      .skip(skip)
+      .limit(limit);
+    const total = await Subscription.countDocuments(query);
+    res.json({ subscriptions, pagination: { page, limit, total, pages: Math.ceil(total / limit) } });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+exports.get = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const { targetType, targetId } = req.params;
+    const subscription = await Subscription.findOne({ user: req.user._id, targetType, target: targetId });
+    res.json({ targetType, target: targetId, level: subscription ? subscription.level : null });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+exports.watch = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const { targetType, targetId } = req.params;
+    if (!(await canWatch(req.user, targetType, targetId))) {
+      return res.status(404).json({ message: `${TARGET_LABELS[targetType]} not found` });
+    }
+    const subscription = await Subscription.findOneAndUpdate(
+      { user: req.user._id, targetType, target: targetId },
+      { $set: { level: req.body.level || 'all' } },
+      { upsert: true, new: true, runValidators: true }
+    );
+    res.json({ message: 'Subscription saved successfully', subscription });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+exports.unwatch = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const { targetType, targetId } = req.params;
+    const { deletedCount } = await Subscription.deleteOne({ user: req.user._id, targetType, target: targetId });
+    if (deletedCount === 0) {
+      return res.status(404).json({ message: 'Subscription not found' });
+    }
+    res.json({ message: 'Subscription removed successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+exports.getDigest = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('digestFrequency lastDigestAt');
+    res.json({ frequency: user.digestFrequency, lastDigestAt: user.lastDigestAt });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+exports.updateDigest = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: { digestFrequency: req.body.frequency } },
+      { new: true, runValidators: true }
+    ).select('digestFrequency lastDigestAt');
+    res.json({
+      message: 'Digest preference updated successfully',
+      frequency: user.digestFrequency,
+      lastDigestAt: user.lastDigestAt
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
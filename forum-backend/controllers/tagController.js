@@ -1,6 +1,10 @@
 const { validationResult } = require('express-validator');
 const Tag = require('../models/Tag');
 const Thread = require('../models/Threads');
+const { pick, recordModerationAction } = require('../utils/auditLog');
+const { hiddenCategoryIds, excludeCategories } = require('../utils/categoryAccess');
+
+const TAG_SNAPSHOT_FIELDS = ['name', 'description', 'color'];
 
 exports.list = async (req, res) => {
   try {
@@ -51,7 +55,9 @@ exports.getById = async (req, res) => {
       return res.status(404).json({ message: 'Tag not found' });
     }
 
-    const threads = await Thread.find({ tags: req.params.id })
+    const query = { tags: req.params.id, isHidden: { $ne: true }, isDeleted: { $ne: true } };
+    excludeCategories(query, await hiddenCategoryIds(req.user));
+    const threads = await Thread.find(query)
       .populate('author', 'username avatar')
       .populate('category', 'name color')
       .sort({ createdAt: -1 })
@@ -78,6 +84,14 @@ exports.create = async (req, res) => {
 
     const tag = new Tag({ name, description, color });
     await tag.save();
+    await recordModerationAction({
+      actor: req.user._id,
+      action: 'tag.create',
+      targetType: 'tag',
+      targetId: tag._id,
+      reason: req.body.reason,
+      after: pick(tag, TAG_SNAPSHOT_FIELDS)
+    });
     res.status(201).json(tag);
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -91,16 +105,24 @@ exports.update = async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const tag = await Tag.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    );
-
+    const tag = await Tag.findById(req.params.id);
     if (!tag) {
       return res.status(404).json({ message: 'Tag not found' });
     }
 
+    const before = pick(tag, TAG_SNAPSHOT_FIELDS);
+    tag.set(pick(req.body, TAG_SNAPSHOT_FIELDS));
+    await tag.save();
+    await recordModerationAction({
+      actor: req.user._id,
+      action: 'tag.update',
+      targetType: 'tag',
+      targetId: tag._id,
+      reason: req.body.reason,
+      before,
+      after: pick(tag, TAG_SNAPSHOT_FIELDS)
+    });
+
     res.json(tag);
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -109,6 +131,10 @@ exports.update = async (req, res) => {
 
 exports.remove = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
     const tag = await Tag.findById(req.params.id);
     if (!tag) {
       return res.status(404).json({ message: 'Tag not found' });
@@ -120,6 +146,14 @@ exports.remove = async (req, res) => {
     );
 
     await Tag.findByIdAndDelete(req.params.id);
+    await recordModerationAction({
+      actor: req.user._id,
+      action: 'tag.delete',
+      targetType: 'tag',
+      targetId: tag._id,
+      reason: req.body.reason,
+      before: pick(tag, TAG_SNAPSHOT_FIELDS)
+    });
     res.json({ message: 'Tag deleted successfully' });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -1,6 +1,30 @@
+const mongoose = require('mongoose');
 const { validationResult } = require('express-validator');
 const Thread = require('../models/Threads');
+const Reply = require('../models/Reply');
+const Report = require('../models/Report');
+const Notification = require('../models/Notification');
 const Tag = require('../models/Tag');
+const { pick, recordModerationAction } = require('../utils/auditLog');
+const { buildTree, mapReplies, presentReply, DELETED_PLACEHOLDER } = require('../utils/replyTree');
+const { can, sendForbidden } = require('../utils/permissions');
+const {
+  canReadCategory,
+  canPostInCategory,
+  findCategoryForAccess,
+  hiddenCategoryIds,
+  excludeCategories
+} = require('../utils/categoryAccess');
+const { recordCategoryActivity, refreshCategories } = require('../utils/categoryStats');
+const { recordReputation } = require('../utils/reputation');
+const { notifyModeration } = require('../utils/notifications');
+const { resolveMentions, notifyMentions } = require('../utils/mentions');
+const { renderMarkdown } = require('../utils/markdown');
+const { autoWatchThread, notifyNewThreadWatchers } = require('../utils/subscriptions');
+const { publish, publishToThread, recheckAccess, categoryChannel, threadChannel } = require('../utils/realtime');
+const reputationPoints = require('../config/reputation');
+
+const THREAD_SNAPSHOT_FIELDS = ['title', 'content', 'author', 'category', 'tags', 'replyCount', 'isPinned', 'isLocked', 'mergedInto'];
 
 exports.list = async (req, res) => {
   try {
@@ -14,10 +38,18 @@ exports.list = async (req, res) => {
     const skip = (page - 1) * limit;
     const sortBy = req.query.sortBy || 'recent';
 
-    let query = {};
+    let query = { isDeleted: { $ne: true } };
+    if (!(await can(req.user, 'thread.view.hidden'))) {
+      query.isHidden = { $ne: true };
+    }
     if (req.query.category) {
       query.category = req.query.category;
     }
+    if (req.query.status === 'solved') {
+      query.acceptedReply = { $ne: null };
+    } else if (req.query.status === 'unsolved') {
+      query.acceptedReply = null;
+    }
     if (req.query.tags) {
       const tagNames = req.query.tags.split(',');
       const tags = await Tag.find({ name: { $in: tagNames } });
@@ -26,11 +58,9 @@ exports.list = async (req, res) => {
       }
     }
     if (req.query.search) {
-      query.$or = [
-        { title: { $regex: req.query.search, $options: 'i' } },
-        { content: { $regex: req.query.search, $options: 'i' } }
-      ];
+      query.$text = { $search: req.query.search };
     }
+    excludeCategories(query, await hiddenCategoryIds(req.user));
 
     let sort = {};
     switch (sortBy) {
@@ -48,7 +78,6 @@ exports.list = async (req, res) => {
       .populate('author', 'username avatar reputation')
       .populate('category', 'name color')
       .populate('tags', 'name color')
-      .populate('replies.author', 'username avatar')
       .sort(sort)
       .skip(skip)
       .limit(limit);
@@ -66,21 +95,57 @@ exports.list = async (req, res) => {
 
 exports.getById = async (req, res) => {
   try {
-    const thread = await Thread.findByIdAndUpdate(
-      req.params.id,
-      { $inc: { views: 1 } },
-      { new: true }
-    )
-    .populate('author', 'username avatar reputation')
-    .populate('category', 'name color')
-    .populate('tags', 'name color')
-    .populate('replies.author', 'username avatar reputation')
-    .populate('replies.replies.author', 'username avatar reputation');
+    const thread = await Thread.findById(req.params.id)
+      .populate('author', 'username avatar reputation')
+      .populate('category', 'name color')
+      .populate('tags', 'name color');
 
     if (!thread) {
       return res.status(404).json({ message: 'Thread not found' });
     }
-    res.json(thread);
+    // Threads in categories the viewer cannot see do not exist as far as they know
+    const category = thread.category && await findCategoryForAccess(thread.category._id);
+    if (category && !(await canReadCategory(req.user, category))) {
+      return res.status(404).json({ message: 'Thread not found' });
+    }
+    await Thread.updateOne({ _id: thread._id }, { $inc: { views: 1 } });
+    thread.views += 1;
+    const replies = await Reply.find({ thread: thread._id })
+      .populate('author', 'username avatar reputation')
+      .sort({ createdAt: 1 });
+
+    const payload = thread.toJSON();
+    payload.replies = buildTree(replies);
+    payload.acceptedAnswer = null;
+    if (thread.acceptedReply) {
+      const accepted = replies.find(reply => reply._id.toString() === thread.acceptedReply.toString());
+      if (accepted && !accepted.isDeleted) {
+        payload.acceptedAnswer = accepted.toJSON();
+        // Surface the accepted answer's branch ahead of the other top-level replies
+        const rootId = accepted.path ? accepted.path.split('/')[0] : accepted._id.toString();
+        payload.replies.sort((a, b) => (b._id.toString() === rootId) - (a._id.toString() === rootId));
+      }
+    }
+    if (await can(req.user, 'thread.view.hidden', thread)) {
+      return res.json(payload);
+    }
+    const isAuthor = req.user && thread.author._id.toString() === req.user._id.toString();
+    if (thread.isHidden && !isAuthor) {
+      return res.status(404).json({ message: 'Thread not found' });
+    }
+    if (thread.isDeleted) {
+      // Keep the thread reachable so its surviving replies still render
+      payload.title = DELETED_PLACEHOLDER;
+      payload.content = DELETED_PLACEHOLDER;
+      payload.contentHtml = DELETED_PLACEHOLDER;
+      payload.author = null;
+      payload.mentions = [];
+    }
+    payload.replies = mapReplies(payload.replies, presentReply);
+    if (payload.acceptedAnswer) {
+      payload.acceptedAnswer = presentReply(payload.acceptedAnswer);
+    }
+    res.json(payload);
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
@@ -94,6 +159,14 @@ exports.create = async (req, res) => {
     }
 
     const { title, content, category, tags } = req.body;
+    const targetCategory = await findCategoryForAccess(category);
+    if (!targetCategory || !(await canReadCategory(req.user, targetCategory))) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+    if (!(await canPostInCategory(req.user, targetCategory))) {
+      return res.status(403).json({ message: 'You cannot post in this category' });
+    }
+
     let tagIds = [];
     if (tags && tags.length > 0) {
       for (const tagName of tags) {
@@ -112,16 +185,31 @@ exports.create = async (req, res) => {
     const thread = new Thread({
       title,
       content,
+      contentHtml: renderMarkdown(content),
+      mentions: await resolveMentions(content),
       author: req.user._id,
       category,
       tags: tagIds
     });
 
     await thread.save();
+    await recordCategoryActivity(thread.category, { threads: 1, thread: thread._id, user: req.user._id });
+    await notifyMentions({
+      mentions: thread.mentions,
+      actor: req.user._id,
+      category: targetCategory,
+      thread: thread._id
+    });
+    await autoWatchThread(req.user._id, thread._id);
+    await notifyNewThreadWatchers({ thread, category: targetCategory, actor: req.user._id });
     await thread.populate('author', 'username avatar reputation');
     await thread.populate('category', 'name color');
     await thread.populate('tags', 'name color');
 
+    publish(categoryChannel(category), 'thread.created', {
+      thread: pick(thread, ['_id', 'title', 'author', 'category', 'tags', 'createdAt'])
+    });
+
     res.status(201).json(thread);
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -135,21 +223,40 @@ exports.update = async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
     const thread = await Thread.findById(req.params.id);
-    if (!thread) {
+    if (!thread || thread.isDeleted) {
       return res.status(404).json({ message: 'Thread not found' });
     }
-    if (thread.author.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'Not authorized' });
+    if (!(await can(req.user, 'thread.edit', thread))) {
+      return sendForbidden(res, req.user);
     }
     const { title, content } = req.body;
     if (title) thread.title = title;
-    if (content) thread.content = content;
+    if (content) {
+      thread.content = content;
+      thread.contentHtml = renderMarkdown(content);
+      thread.mentions = await resolveMentions(content);
+    }
     thread.isEdited = true;
     thread.editedAt = new Date();
     await thread.save();
+    if (content) {
+      await notifyMentions({
+        mentions: thread.mentions,
+        actor: req.user._id,
+        category: await findCategoryForAccess(thread.category),
+        thread: thread._id
+      });
+    }
     await thread.populate('author', 'username avatar reputation');
     await thread.populate('category', 'name color');
     await thread.populate('tags', 'name color');
+    publishToThread(thread._id, 'thread.updated', {
+      title: thread.title,
+      content: thread.content,
+      contentHtml: thread.contentHtml,
+      mentions: thread.mentions,
+      editedAt: thread.editedAt
+    });
     res.json(thread);
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -159,17 +266,384 @@ exports.update = async (req, res) => {
 exports.remove = async (req, res) => {
   try {
     const thread = await Thread.findById(req.params.id);
-    if (!thread) {
+    if (!thread || thread.isDeleted) {
       return res.status(404).json({ message: 'Thread not found' });
     }
-    if (thread.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Not authorized' });
+    const isAuthor = thread.author.toString() === req.user._id.toString();
+    if (!(await can(req.user, 'thread.delete', thread))) {
+      return sendForbidden(res, req.user);
+    }
+    thread.isDeleted = true;
+    thread.deletedAt = new Date();
+    thread.deletedBy = req.user._id;
+    thread.isPinned = false;
+    await thread.save();
+    await refreshCategories(thread.category);
+    if (!isAuthor) {
+      await recordModerationAction({
+        actor: req.user._id,
+        action: 'thread.delete',
+        targetType: 'thread',
+        targetId: thread._id,
+        thread: thread._id,
+        reason: req.body.reason,
+        before: pick(thread, THREAD_SNAPSHOT_FIELDS),
+        after: { isDeleted: true }
+      });
+      await notifyModeration({
+        recipient: thread.author,
+        actor: req.user._id,
+        action: 'thread.delete',
+        reason: req.body.reason,
+        thread: thread._id
+      });
     }
-    await Thread.findByIdAndDelete(req.params.id);
+    publishToThread(thread._id, 'thread.deleted');
     res.json({ message: 'Thread deleted successfully' });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 };
 
+exports.setPinned = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const thread = await Thread.findById(req.params.id);
+    if (!thread) {
+      return res.status(404).json({ message: 'Thread not found' });
+    }
+    if (!(await can(req.user, 'thread.pin', thread))) {
+      return sendForbidden(res, req.user);
+    }
+    const { isPinned, reason } = req.body;
+    if (thread.isPinned === isPinned) {
+      return res.status(400).json({ message: `Thread is already ${isPinned ? 'pinned' : 'unpinned'}` });
+    }
+    thread.isPinned = isPinned;
+    thread.moderationHistory.push({
+      action: isPinned ? 'pin' : 'unpin',
+      moderator: req.user._id,
+      reason
+    });
+    await thread.save();
+    await recordModerationAction({
+      actor: req.user._id,
+      action: isPinned ? 'thread.pin' : 'thread.unpin',
+      targetType: 'thread',
+      targetId: thread._id,
+      thread: thread._id,
+      reason,
+      before: { isPinned: !isPinned },
+      after: { isPinned }
+    });
+    await notifyModeration({
+      recipient: thread.author,
+      actor: req.user._id,
+      action: isPinned ? 'thread.pin' : 'thread.unpin',
+      reason,
+      thread: thread._id
+    });
+    publishToThread(thread._id, 'thread.updated', { isPinned });
+    res.json({ message: `Thread ${isPinned ? 'pinned' : 'unpinned'} successfully`, thread });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
 
+exports.setLocked = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const thread = await Thread.findById(req.params.id);
+    if (!thread) {
+      return res.status(404).json({ message: 'Thread not found' });
+    }
+    if (!(await can(req.user, 'thread.lock', thread))) {
+      return sendForbidden(res, req.user);
+    }
+    const { isLocked, reason } = req.body;
+    if (thread.isLocked === isLocked) {
+      return res.status(400).json({ message: `Thread is already ${isLocked ? 'locked' : 'unlocked'}` });
+    }
+    thread.isLocked = isLocked;
+    thread.moderationHistory.push({
+      action: isLocked ? 'lock' : 'unlock',
+      moderator: req.user._id,
+      reason
+    });
+    await thread.save();
+    await recordModerationAction({
+      actor: req.user._id,
+      action: isLocked ? 'thread.lock' : 'thread.unlock',
+      targetType: 'thread',
+      targetId: thread._id,
+      thread: thread._id,
+      reason,
+      before: { isLocked: !isLocked },
+      after: { isLocked }
+    });
+    await notifyModeration({
+      recipient: thread.author,
+      actor: req.user._id,
+      action: isLocked ? 'thread.lock' : 'thread.unlock',
+      reason,
+      thread: thread._id
+    });
+    publishToThread(thread._id, 'thread.updated', { isLocked });
+    res.json({ message: `Thread ${isLocked ? 'locked' : 'unlocked'} successfully`, thread });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+exports.move = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const thread = await Thread.findById(req.params.id);
+    if (!thread || thread.isDeleted) {
+      return res.status(404).json({ message: 'Thread not found' });
+    }
+    if (!(await can(req.user, 'thread.move', thread))) {
+      return sendForbidden(res, req.user);
+    }
+    const { category, reason } = req.body;
+    if (thread.category.toString() === category) {
+      return res.status(400).json({ message: 'Thread is already in this category' });
+    }
+    // The destination's visibility and posting rules apply to moderators as well
+    const targetCategory = await findCategoryForAccess(category);
+    if (!targetCategory) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+    if (!(await canPostInCategory(req.user, targetCategory))) {
+      return res.status(403).json({ message: 'You cannot move threads into this category' });
+    }
+    const fromCategory = thread.category;
+    thread.category = category;
+    thread.moderationHistory.push({
+      action: 'move',
+      moderator: req.user._id,
+      reason,
+      details: { from: fromCategory, to: thread.category }
+    });
+    await thread.save();
+    await refreshCategories(fromCategory, thread.category);
+    await recordModerationAction({
+      actor: req.user._id,
+      action: 'thread.move',
+      targetType: 'thread',
+      targetId: thread._id,
+      thread: thread._id,
+      reason,
+      before: { category: fromCategory },
+      after: { category: thread.category }
+    });
+    await notifyModeration({
+      recipient: thread.author,
+      actor: req.user._id,
+      action: 'thread.move',
+      reason,
+      thread: thread._id
+    });
+    await thread.populate('category', 'name color');
+    const moved = { thread: thread._id.toString(), from: fromCategory.toString(), to: category };
+    for (const channel of [categoryChannel(fromCategory), categoryChannel(category)]) {
+      publish(channel, 'thread.moved', moved);
+    }
+    publishToThread(thread._id, 'thread.moved', moved);
+    recheckAccess([threadChannel(thread._id)]);
+    res.json({ message: 'Thread moved successfully', thread });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+exports.merge = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const { targetThread, reason } = req.body;
+    if (req.params.id === targetThread) {
+      return res.status(400).json({ message: 'Cannot merge a thread into itself' });
+    }
+    const source = await Thread.findById(req.params.id);
+    if (!source || source.isDeleted) {
+      return res.status(404).json({ message: 'Thread not found' });
+    }
+    if (source.mergedInto) {
+      return res.status(400).json({ message: 'Thread has already been merged' });
+    }
+    const target = await Thread.findById(targetThread);
+    if (!target || target.isDeleted) {
+      return res.status(404).json({ message: 'Target thread not found' });
+    }
+    if (target.mergedInto) {
+      return res.status(400).json({ message: 'Cannot merge into a thread that has itself been merged' });
+    }
+    // Both threads change, so the moderator needs authority over both, and must be able to see the target
+    if (!(await can(req.user, 'thread.merge', source)) || !(await can(req.user, 'thread.merge', target))) {
+      return sendForbidden(res, req.user);
+    }
+    const targetCategory = await findCategoryForAccess(target.category);
+    if (targetCategory && !(await canReadCategory(req.user, targetCategory))) {
+      return res.status(404).json({ message: 'Target thread not found' });
+    }
+
+    // All or nothing: a failure part-way must not leave replies moved from a source that is not marked merged
+    let movedReplies = 0;
+    let alreadyMerged = false;
+    let acceptedReply = null;
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        // Claim the source first, so a concurrent merge of the same thread moves nothing
+        const claimed = await Thread.findOneAndUpdate(
+          { _id: source._id, mergedInto: null },
+          { $set: { mergedInto: target._id } },
+          { session }
+        ).select('acceptedReply');
+        alreadyMerged = !claimed;
+        if (alreadyMerged) {
+          return;
+        }
+        acceptedReply = claimed.acceptedReply;
+        const replyIds = await Reply.find({ thread: source._id }).session(session).distinct('_id');
+        movedReplies = replyIds.length;
+        await Reply.updateMany({ _id: { $in: replyIds } }, { thread: target._id }, { session });
+        // Reports and notifications about the moved replies follow them to the target
+        await Report.updateMany({ reply: { $in: replyIds } }, { thread: target._id }, { session });
+        await Notification.updateMany({ reply: { $in: replyIds } }, { thread: target._id }, { session });
+        await Thread.updateOne(
+          { _id: target._id },
+          {
+            $inc: { replyCount: movedReplies },
+            $push: {
+              moderationHistory: {
+                action: 'merge',
+                moderator: req.user._id,
+                reason,
+                details: { from: source._id, replies: movedReplies }
+              }
+            }
+          },
+          { session }
+        );
+        // The accepted answer now lives in the target, which keeps its own
+        await Thread.updateOne(
+          { _id: source._id },
+          {
+            $set: { isLocked: true, isPinned: false, acceptedReply: null },
+            $unset: { acceptedAt: '', acceptedBy: '' },
+            $inc: { replyCount: -movedReplies },
+            $push: {
+              moderationHistory: {
+                action: 'merge',
+                moderator: req.user._id,
+                reason,
+                details: { into: target._id, replies: movedReplies }
+              }
+            }
+          },
+          { session }
+        );
+      });
+    } finally {
+      await session.endSession();
+    }
+    if (alreadyMerged) {
+      return res.status(400).json({ message: 'Thread has already been merged' });
+    }
+
+    // The answer is no longer accepted anywhere, so its points go too, as on unaccept
+    if (acceptedReply) {
+      const answer = await Reply.findById(acceptedReply).select('author');
+      if (answer && answer.author.toString() !== source.author.toString()) {
+        await recordReputation({
+          user: answer.author,
+          source: 'accepted_answer',
+          delta: -reputationPoints.accepted_answer,
+          reason: 'Thread merged',
+          actor: req.user._id,
+          thread: source._id,
+          reply: answer._id
+        });
+      }
+    }
+    await refreshCategories(source.category, target.category);
+    await recordModerationAction({
+      actor: req.user._id,
+      action: 'thread.merge',
+      targetType: 'thread',
+      targetId: source._id,
+      thread: source._id,
+      reason,
+      before: { replyCount: movedReplies, isLocked: source.isLocked, mergedInto: null, acceptedReply },
+      after: { replyCount: 0, isLocked: true, mergedInto: target._id, acceptedReply: null }
+    });
+    await notifyModeration({
+      recipient: source.author,
+      actor: req.user._id,
+      action: 'thread.merge',
+      reason,
+      thread: target._id
+    });
+    const merged = await Thread.findById(target._id);
+    publishToThread(source._id, 'thread.merged', { into: target._id });
+    publishToThread(target._id, 'thread.updated', { replyCount: merged.replyCount });
+    res.json({ message: 'Threads merged successfully', thread: merged });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+exports.restore = async (req, res) => {
+  try {
+    const thread = await Thread.findById(req.params.id);
+    if (!thread) {
+      return res.status(404).json({ message: 'Thread not found' });
+    }
+    if (!(await can(req.user, 'thread.restore', thread))) {
+      return sendForbidden(res, req.user);
+    }
+    if (!thread.isDeleted) {
+      return res.status(400).json({ message: 'Thread is not deleted' });
+    }
+    const before = pick(thread, ['isDeleted', 'deletedAt', 'deletedBy']);
+    thread.isDeleted = false;
+    thread.deletedAt = undefined;
+    thread.deletedBy = undefined;
+    await thread.save();
+    await refreshCategories(thread.category);
+    await recordModerationAction({
+      actor: req.user._id,
+      action: 'thread.restore',
+      targetType: 'thread',
+      targetId: thread._id,
+      thread: thread._id,
+      reason: req.body.reason,
+      before,
+      after: { isDeleted: false }
+    });
+    await notifyModeration({
+      recipient: thread.author,
+      actor: req.user._id,
+      action: 'thread.restore',
+      reason: req.body.reason,
+      thread: thread._id
+    });
+    publishToThread(thread._id, 'thread.restored');
+    res.json({ message: 'Thread restored successfully', thread });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
@@ -1,7 +1,14 @@
 const { validationResult } = require('express-validator');
-const setTokenCookie = require('../utils/generateToken');
+const { revokeAllSessions } = require('../utils/session');
 const User = require('../models/User');
 const Thread = require('../models/Threads');
+const Reply = require('../models/Reply');
+const ReputationEvent = require('../models/ReputationEvent');
+const { pick, recordModerationAction } = require('../utils/auditLog');
+const { recordReputation } = require('../utils/reputation');
+const { can, sendForbidden, permissionsFor } = require('../utils/permissions');
+const { hiddenCategoryIds, excludeCategories } = require('../utils/categoryAccess');
+const { encodeCursor, decodeCursor, afterCursor } = require('../utils/cursor');
 
 exports.getProfile = async (req, res) => {
   try {
@@ -9,29 +16,87 @@ exports.getProfile = async (req, res) => {
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
-    const threadCount = await Thread.countDocuments({ author: user._id });
-    const replyCount = await Thread.aggregate([
-      { $unwind: '$replies' },
-      { $match: { 'replies.author': user._id } },
-      { $count: 'total' }
-    ]);
+    const threadCount = await Thread.countDocuments({ author: user._id, isDeleted: { $ne: true } });
+    const replyCount = await Reply.countDocuments({ author: user._id, isDeleted: { $ne: true } });
     res.json({
       user,
-      stats: { threadCount, replyCount: replyCount[0]?.total || 0 }
+      stats: { threadCount, replyCount }
     });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 };
 
-exports.register = async (req, res) => {
+exports.getPermissions = async (req, res) => {
   try {
-    const { username, email, password } = req.body;
-    const existingUser = await User.findOne({ email });
-    if (existingUser) return res.status(400).json({ message: 'Email already exists' });
-    const user = new User({ username, email, password });
-    await user.save();
-    res.status(201).json({ message: 'User created', user });
+    res.json(await permissionsFor(req.user));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Threads and replies that mention the current user, newest first, skipping any they can no longer see
+exports.getMentions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const limit = parseInt(req.query.limit) || 20;
+    let after = {};
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor, 'createdAt');
+      if (!cursor) {
+        return res.status(400).json({ message: 'Invalid cursor' });
+      }
+      after = afterCursor(cursor, 'createdAt', -1);
+    }
+
+    const hidden = await hiddenCategoryIds(req.user);
+    const mentioned = { 'mentions.user': req.user._id, isDeleted: { $ne: true }, isHidden: { $ne: true }, ...after };
+    const page = await Thread.aggregate([
+      { $match: { ...mentioned, category: { $nin: hidden } } },
+      { $project: { type: { $literal: 'thread' }, thread: '$_id', title: 1, content: 1, contentHtml: 1, author: 1, createdAt: 1 } },
+      {
+        $unionWith: {
+          coll: Reply.collection.name,
+          pipeline: [
+            { $match: mentioned },
+            {
+              $lookup: {
+                from: Thread.collection.name,
+                let: { threadId: '$thread' },
+                pipeline: [
+                  { $match: { $expr: { $eq: ['$_id', '$$threadId'] } } },
+                  { $project: { title: 1, category: 1, isDeleted: 1, isHidden: 1 } }
+                ],
+                as: 'parent'
+              }
+            },
+            { $unwind: '$parent' },
+            {
+              $match: {
+                'parent.isDeleted': { $ne: true },
+                'parent.isHidden': { $ne: true },
+                'parent.category': { $nin: hidden }
+              }
+            },
+            { $project: { type: { $literal: 'reply' }, thread: 1, title: '$parent.title', content: 1, contentHtml: 1, author: 1, createdAt: 1 } }
+          ]
+        }
+      },
+      { $sort: { createdAt: -1, _id: -1 } },
+      { $limit: limit + 1 }
+    ]);
+    const hasMore = page.length > limit;
+    const mentions = page.slice(0, limit);
+    await User.populate(mentions, { path: 'author', select: 'username avatar', model: User });
+
+    res.json({
+      mentions,
+      nextCursor: hasMore ? encodeCursor(mentions[mentions.length - 1], 'createdAt') : null,
+      hasMore
+    });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
@@ -43,20 +108,23 @@ exports.getById = async (req, res) => {
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
-    const threadCount = await Thread.countDocuments({ author: user._id });
-    const threads = await Thread.find({ author: user._id })
+    // Deleted threads never show on a profile; report-hidden ones only to moderators
+    const visible = { author: user._id, isDeleted: { $ne: true } };
+    if (!(await can(req.user, 'thread.view.hidden'))) {
+      visible.isHidden = { $ne: true };
+    }
+    // Threads in categories the viewer cannot see are neither listed nor counted
+    const threadQuery = excludeCategories(visible, await hiddenCategoryIds(req.user));
+    const threadCount = await Thread.countDocuments(threadQuery);
+    const threads = await Thread.find(threadQuery)
       .populate('category', 'name color')
       .populate('tags', 'name color')
       .sort({ createdAt: -1 })
       .limit(5);
-    const replyCount = await Thread.aggregate([
-      { $unwind: '$replies' },
-      { $match: { 'replies.author': user._id } },
-      { $count: 'total' }
-    ]);
+    const replyCount = await Reply.countDocuments({ author: user._id, isDeleted: { $ne: true } });
     res.json({
       user,
-      stats: { threadCount, replyCount: replyCount[0]?.total || 0 },
+      stats: { threadCount, replyCount },
       recentThreads: threads
     });
   } catch (error) {
@@ -64,20 +132,6 @@ exports.getById = async (req, res) => {
   }
 };
 
-exports.login = async (req, res) => {
-  try {
-    const { email, password } = req.body;
-    const user = await User.findOne({ email });
-    if (!user) return res.status(400).json({ message: 'Invalid email or password' });
-    const isMatch = await user.comparePassword(password);
-    if (!isMatch) return res.status(400).json({ message: 'Invalid email or password' });
-    const token = setTokenCookie(user._id, res);
-    res.json({ message: 'Login successful', token });
-  } catch (error) {
-    res.status(500).json({ message: 'Server error', error: error.message });
-  }
-};
-
 exports.updateProfile = async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -132,7 +186,11 @@ exports.updateRole = async (req, res) => {
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
-    const { role } = req.body;
+    const { role, reason } = req.body;
+    const previous = await User.findById(req.params.id).select('role');
+    if (!previous) {
+      return res.status(404).json({ message: 'User not found' });
+    }
     const user = await User.findByIdAndUpdate(
       req.params.id,
       { role },
@@ -141,6 +199,18 @@ exports.updateRole = async (req, res) => {
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
+    await recordModerationAction({
+      actor: req.user._id,
+      action: 'user.role.update',
+      targetType: 'user',
+      targetId: user._id,
+      reason,
+      before: pick(previous, ['role']),
+      after: pick(user, ['role'])
+    });
+    if (previous.role !== user.role) {
+      await revokeAllSessions(user._id, 'Role changed');
+    }
     res.json({ message: 'User role updated successfully', user });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -153,7 +223,11 @@ exports.updateStatus = async (req, res) => {
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
-    const { isActive } = req.body;
+    const { isActive, reason } = req.body;
+    const previous = await User.findById(req.params.id).select('isActive');
+    if (!previous) {
+      return res.status(404).json({ message: 'User not found' });
+    }
     const user = await User.findByIdAndUpdate(
       req.params.id,
       { isActive },
@@ -162,6 +236,18 @@ exports.updateStatus = async (req, res) => {
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
+    await recordModerationAction({
+      actor: req.user._id,
+      action: isActive ? 'user.activate' : 'user.ban',
+      targetType: 'user',
+      targetId: user._id,
+      reason,
+      before: pick(previous, ['isActive']),
+      after: pick(user, ['isActive'])
+    });
+    if (!isActive) {
+      await revokeAllSessions(user._id, 'Account banned');
+    }
     res.json({ 
       message: `User ${isActive ? 'activated' : 'banned'} successfully`, 
       user 
@@ -171,4 +257,168 @@ exports.updateStatus = async (req, res) => {
   }
 };
 
+exports.getReputation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const user = await User.findById(req.params.id).select('username reputation');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const events = await ReputationEvent.find({ user: user._id })
+      .populate('actor', 'username')
+      .populate('thread', 'title')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+    const total = await ReputationEvent.countDocuments({ user: user._id });
+
+    res.json({
+      reputation: user.reputation,
+      events,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+exports.penalize = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const { points, reason } = req.body;
+    const user = await User.findById(req.params.id).select('reputation');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const event = await recordReputation({
+      user: user._id,
+      source: 'moderator_penalty',
+      delta: -points,
+      reason,
+      actor: req.user._id
+    });
+    await recordModerationAction({
+      actor: req.user._id,
+      action: 'user.reputation.penalty',
+      targetType: 'user',
+      targetId: user._id,
+      reason,
+      before: { reputation: user.reputation },
+      after: { reputation: user.reputation - points }
+    });
+
+    res.status(201).json({ message: 'Reputation penalty applied successfully', event });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+const RESTRICTION_LABELS = {
+  suspension: { applied: 'suspended', lifted: 'unsuspended', action: 'user.suspend', liftAction: 'user.unsuspend' },
+  mute: { applied: 'muted', lifted: 'unmuted', action: 'user.mute', liftAction: 'user.unmute' }
+};
+
+// Restricting staff takes a separate permission; nobody may restrict themselves
+const canRestrict = (actor, target) => {
+  if (actor._id.toString() === target._id.toString()) return false;
+  return can(actor, target.role === 'user' ? 'user.restrict' : 'user.restrict.staff');
+};
+
+const applyRestriction = (type) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const labels = RESTRICTION_LABELS[type];
+    const target = await User.findById(req.params.id).select('role suspension mute');
+    if (!target) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!(await canRestrict(req.user, target))) {
+      return sendForbidden(res, req.user);
+    }
+
+    const { until, reason } = req.body;
+    const restriction = { until: new Date(until), reason, issuedBy: req.user._id, issuedAt: new Date() };
+    const before = target[type] ? target[type].toObject() : null;
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { [type]: restriction },
+      { new: true, runValidators: true }
+    ).select('-password');
+
+    await recordModerationAction({
+      actor: req.user._id,
+      action: labels.action,
+      targetType: 'user',
+      targetId: user._id,
+      reason,
+      before: { [type]: before },
+      after: { [type]: restriction }
+    });
+    if (type === 'suspension') {
+      await revokeAllSessions(user._id, 'Account suspended');
+    }
+    res.json({ message: `User ${labels.applied} successfully`, user });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+const liftRestriction = (type) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const labels = RESTRICTION_LABELS[type];
+    const target = await User.findById(req.params.id).select('role suspension mute');
+    if (!target) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!(await canRestrict(req.user, target))) {
+      return sendForbidden(res, req.user);
+    }
+    if (!target[type]) {
+      return res.status(400).json({ message: `User is not ${labels.applied}` });
+    }
+
+    const before = target[type].toObject();
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { [type]: null },
+      { new: true }
+    ).select('-password');
+
+    await recordModerationAction({
+      actor: req.user._id,
+      action: labels.liftAction,
+      targetType: 'user',
+      targetId: user._id,
+      reason: req.body.reason,
+      before: { [type]: before },
+      after: { [type]: null }
+    });
+    res.json({ message: `User ${labels.lifted} successfully`, user });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
 
+exports.suspend = applyRestriction('suspension');
+exports.unsuspend = liftRestriction('suspension');
+exports.mute = applyRestriction('mute');
+exports.unmute = liftRestriction('mute');
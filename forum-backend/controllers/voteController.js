@@ -1,6 +1,24 @@
 const { validationResult } = require('express-validator');
 const Thread = require('../models/Threads');
-const User = require('../models/User');
+const Reply = require('../models/Reply');
+const { castVote } = require('../utils/votes');
+const { recordVoteReputation } = require('../utils/reputation');
+const { notifyVoteMilestone } = require('../utils/notifications');
+const { publishToThread } = require('../utils/realtime');
+const { canReadCategory, findCategoryForAccess } = require('../utils/categoryAccess');
+
+// Threads in categories the voter cannot see cannot be voted on, nor can their replies
+const findVotableThread = async (user, threadId) => {
+  const thread = await Thread.findOne({ _id: threadId, isDeleted: { $ne: true } }).select('category');
+  if (!thread) {
+    return null;
+  }
+  const category = await findCategoryForAccess(thread.category);
+  if (category && !(await canReadCategory(user, category))) {
+    return null;
+  }
+  return thread;
+};
 
 exports.voteThread = async (req, res) => {
   try {
@@ -10,38 +28,37 @@ exports.voteThread = async (req, res) => {
     }
 
     const { type } = req.body;
-    const thread = await Thread.findById(req.params.threadId);
-    if (!thread) {
+    if (!(await findVotableThread(req.user, req.params.threadId))) {
       return res.status(404).json({ message: 'Thread not found' });
     }
-
-    const existingVoteIndex = thread.votes.findIndex(
-      vote => vote.user.toString() === req.user._id.toString()
-    );
-
-    if (existingVoteIndex !== -1) {
-      const existingVote = thread.votes[existingVoteIndex];
-      if (existingVote.type === type) {
-        thread.votes.splice(existingVoteIndex, 1);
-      } else {
-        existingVote.type = type;
-      }
-    } else {
-      thread.votes.push({ user: req.user._id, type });
+    const filter = { _id: req.params.threadId, isDeleted: { $ne: true } };
+    const vote = await castVote(Thread, filter, req.user._id, type);
+    if (!vote) {
+      return res.status(404).json({ message: 'Thread not found' });
     }
 
-    await thread.save();
-
-    const voteCount = thread.votes.filter(v => v.type === 'upvote').length - 
-                     thread.votes.filter(v => v.type === 'downvote').length;
-    await User.findByIdAndUpdate(thread.author, {
-      $set: { reputation: Math.max(0, voteCount * 10) }
+    const thread = await Thread.findById(req.params.threadId).select('author votes');
+    await recordVoteReputation({
+      vote,
+      contentType: 'thread',
+      author: thread.author,
+      actor: req.user._id,
+      thread: thread._id
     });
+    if (vote.current === 'upvote') {
+      await notifyVoteMilestone({
+        author: thread.author,
+        actor: req.user._id,
+        voteCount: thread.voteCount,
+        thread: thread._id
+      });
+    }
 
+    publishToThread(thread._id, 'vote', { voteCount: thread.voteCount });
     res.json({
       message: 'Vote recorded successfully',
-      voteCount,
-      userVote: existingVoteIndex !== -1 ? thread.votes.find(v => v.user.toString() === req.user._id.toString())?.type : null
+      voteCount: thread.voteCount,
+      userVote: vote.current
     });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -56,47 +73,43 @@ exports.voteReply = async (req, res) => {
     }
 
     const { type } = req.body;
-    const thread = await Thread.findById(req.params.threadId);
-    if (!thread) {
+    if (!(await findVotableThread(req.user, req.params.threadId))) {
       return res.status(404).json({ message: 'Thread not found' });
     }
 
-    const findAndVoteReply = (replies, replyId, userId, voteType) => {
-      for (let reply of replies) {
-        if (reply._id.toString() === replyId) {
-          const existingVoteIndex = reply.votes.findIndex(
-            vote => vote.user.toString() === userId
-          );
-          if (existingVoteIndex !== -1) {
-            const existingVote = reply.votes[existingVoteIndex];
-            if (existingVote.type === voteType) {
-              reply.votes.splice(existingVoteIndex, 1);
-            } else {
-              existingVote.type = voteType;
-            }
-          } else {
-            reply.votes.push({ user: userId, type: voteType });
-          }
-          return true;
-        }
-        if (reply.replies.length > 0) {
-          if (findAndVoteReply(reply.replies, replyId, userId, voteType)) {
-            return true;
-          }
-        }
-      }
-      return false;
-    };
-
-    if (!findAndVoteReply(thread.replies, req.params.replyId, req.user._id.toString(), type)) {
+    const filter = { _id: req.params.replyId, thread: req.params.threadId, isDeleted: { $ne: true } };
+    const vote = await castVote(Reply, filter, req.user._id, type);
+    if (!vote) {
       return res.status(404).json({ message: 'Reply not found' });
     }
+    await Reply.refreshVoteStats(req.params.replyId);
 
-    await thread.save();
-    res.json({ message: 'Vote recorded successfully' });
+    const reply = await Reply.findById(req.params.replyId).select('author thread score');
+    await recordVoteReputation({
+      vote,
+      contentType: 'reply',
+      author: reply.author,
+      actor: req.user._id,
+      thread: reply.thread,
+      reply: reply._id
+    });
+    if (vote.current === 'upvote') {
+      await notifyVoteMilestone({
+        author: reply.author,
+        actor: req.user._id,
+        voteCount: reply.voteCount,
+        thread: reply.thread,
+        reply: reply._id
+      });
+    }
+
+    publishToThread(reply.thread, 'vote', { reply: reply._id, voteCount: reply.voteCount });
+    res.json({
+      message: 'Vote recorded successfully',
+      voteCount: reply.voteCount,
+      userVote: vote.current
+    });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 };
-
-
@@ -0,0 +1,99 @@
+if (require.main === module) {
+  require('dotenv').config();
+}
+
+const mongoose = require('mongoose');
+const Thread = require('../models/Threads');
+const Reply = require('../models/Reply');
+const { deletedRetentionDays } = require('../config/moderation');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const purgeDeleted = async ({ retentionDays = deletedRetentionDays, now = new Date() } = {}) => {
+  const cutoff = new Date(now.getTime() - retentionDays * DAY_MS);
+
+  const expiredThreads = await Thread.find({
+    isDeleted: true,
+    deletedAt: { $lte: cutoff }
+  }).distinct('_id');
+  // Other users' live replies outlive the thread: it stays as a scrubbed tombstone
+  // until they are deleted and expire too
+  const tombstones = await Reply.find({
+    thread: { $in: expiredThreads },
+    isDeleted: { $ne: true }
+  }).distinct('thread');
+  const removable = expiredThreads.filter(id => !tombstones.some(kept => kept.equals(id)));
+  await Reply.deleteMany({ thread: { $in: removable }, isDeleted: true });
+  const { deletedCount: threads } = await Thread.deleteMany({ _id: { $in: removable }, isDeleted: true });
+  const { modifiedCount: tombstoned } = await Thread.updateMany(
+    { _id: { $in: tombstones }, isDeleted: true, purgedAt: null },
+    {
+      $set: {
+        title: '[deleted]',
+        content: '[deleted]',
+        contentHtml: '[deleted]',
+        mentions: [],
+        votes: [],
+        purgedAt: new Date()
+      }
+    }
+  );
+
+  // Deepest replies first, so a parent whose children were all purged can go too.
+  // Expired replies that still have children are scrubbed but kept so their branch survives.
+  let replies = 0;
+  let scrubbed = 0;
+  const cursor = Reply.find({ isDeleted: true, deletedAt: { $lte: cutoff } })
+    .sort({ depth: -1 })
+    .cursor();
+  for (let reply = await cursor.next(); reply; reply = await cursor.next()) {
+    const hasChildren = await Reply.exists({ parent: reply._id });
+    if (!hasChildren) {
+      const { deletedCount } = await Reply.deleteOne({ _id: reply._id, isDeleted: true });
+      if (deletedCount === 0) {
+        continue;
+      }
+      await Thread.updateOne({ _id: reply.thread }, { $inc: { replyCount: -1 } });
+      if (reply.parent) {
+        await Reply.updateOne({ _id: reply.parent }, { $inc: { childCount: -1 } });
+      }
+      replies += 1;
+    } else if (!reply.purgedAt) {
+      await Reply.updateOne(
+        { _id: reply._id, isDeleted: true },
+        {
+          $set: {
+            content: '[deleted]',
+            contentHtml: '[deleted]',
+            mentions: [],
+            votes: [],
+            upvoteCount: 0,
+            downvoteCount: 0,
+            score: 0,
+            controversy: 0,
+            purgedAt: new Date()
+          }
+        }
+      );
+      scrubbed += 1;
+    }
+  }
+
+  return { threads, tombstoned, replies, scrubbed };
+};
+
+module.exports = purgeDeleted;
+
+if (require.main === module) {
+  mongoose
+    .connect(process.env.MONGO_URI)
+    .then(() => purgeDeleted())
+    .then((result) => {
+      console.log('✅ Purge complete:', result);
+      return mongoose.disconnect();
+    })
+    .catch((err) => {
+      console.error('❌ Purge failed:', err);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,88 @@
+if (require.main === module) {
+  require('dotenv').config();
+}
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { digestMaxItems } = require('../config/notifications');
+const { sendDigestEmail } = require('../utils/digestEmails');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PERIOD_MS = { daily: DAY_MS, weekly: 7 * DAY_MS };
+
+// Emails each user due a daily or weekly digest the notifications still unread since their last one
+const sendDigests = async ({ now = new Date() } = {}) => {
+  let sent = 0;
+  let empty = 0;
+  let failed = 0;
+
+  for (const [frequency, period] of Object.entries(PERIOD_MS)) {
+    const dueBefore = new Date(now.getTime() - period);
+    const cursor = User.find({
+      isActive: true,
+      emailVerified: true,
+      digestFrequency: frequency,
+      $or: [{ lastDigestAt: null }, { lastDigestAt: { $lte: dueBefore } }]
+    })
+      .select('username email lastDigestAt')
+      .cursor();
+
+    for (let user = await cursor.next(); user; user = await cursor.next()) {
+      // Claim the digest first so overlapping runs never send the same one twice
+      const { modifiedCount } = await User.updateOne(
+        { _id: user._id, lastDigestAt: user.lastDigestAt },
+        { $set: { lastDigestAt: now } }
+      );
+      if (modifiedCount === 0) {
+        continue;
+      }
+
+      const query = {
+        recipient: user._id,
+        isRead: false,
+        updatedAt: { $gt: user.lastDigestAt || dueBefore, $lte: now }
+      };
+      const total = await Notification.countDocuments(query);
+      if (total === 0) {
+        empty += 1;
+        continue;
+      }
+      const notifications = await Notification.find(query)
+        .populate('actors', 'username')
+        .populate('thread', 'title')
+        .sort({ updatedAt: -1 })
+        .limit(digestMaxItems);
+      try {
+        await sendDigestEmail(user, notifications, { frequency, total });
+        sent += 1;
+      } catch (err) {
+        // Release the claim so the next run retries this digest instead of skipping it
+        await User.updateOne(
+          { _id: user._id, lastDigestAt: now },
+          { $set: { lastDigestAt: user.lastDigestAt } }
+        );
+        console.error('Failed to send digest email:', err);
+        failed += 1;
+      }
+    }
+  }
+
+  return { sent, empty, failed };
+};
+
+module.exports = sendDigests;
+
+if (require.main === module) {
+  mongoose
+    .connect(process.env.MONGO_URI)
+    .then(() => sendDigests())
+    .then((result) => {
+      console.log('✅ Digests sent:', result);
+      return mongoose.disconnect();
+    })
+    .catch((err) => {
+      console.error('❌ Digest job failed:', err);
+      process.exit(1);
+    });
+}
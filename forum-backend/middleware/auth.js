@@ -1,25 +1,74 @@
 const passport = require('passport');
+const { requireEmailVerification } = require('../config/auth');
+const { can, sendForbidden } = require('../utils/permissions');
 
-const requireAuth = passport.authenticate('jwt', { session: false });
+const requireAuth = (req, res, next) => {
+  // Already resolved earlier in this request by the app-wide optionalAuth
+  if (req.user) {
+    return next();
+  }
+  passport.authenticate('jwt', { session: false }, (err, user, info) => {
+    if (err) {
+      return next(err);
+    }
+    if (!user) {
+      // Banned or suspended accounts are rejected even with a valid token
+      if (info && info.status === 403) {
+        const { status, ...restriction } = info;
+        return res.status(status).json(restriction);
+      }
+      return res.status(401).json({ message: 'Authentication required' });
+    }
+    req.user = user;
+    req.authInfo = info;
+    next();
+  })(req, res, next);
+};
 
-const requireAdmin = (req, res, next) => {
-  if (req.user && req.user.role === 'admin') {
+// Attaches req.user when a valid token is present but lets anonymous requests through
+const optionalAuth = (req, res, next) => {
+  if (req.user) {
+    return next();
+  }
+  passport.authenticate('jwt', { session: false }, (err, user, info) => {
+    if (user) {
+      req.user = user;
+      req.authInfo = info;
+    }
     next();
-  } else {
-    res.status(403).json({ message: 'Admin access required' });
+  })(req, res, next);
+};
+
+// Route-level check for permissions that do not depend on a particular resource
+const requirePermission = (action) => async (req, res, next) => {
+  try {
+    if (await can(req.user, action)) {
+      return next();
+    }
+    sendForbidden(res, req.user);
+  } catch (error) {
+    next(error);
   }
 };
 
-const requireModerator = (req, res, next) => {
-  if (req.user && ['admin', 'moderator'].includes(req.user.role)) {
-    next();
-  } else {
-    res.status(403).json({ message: 'Moderator access required' });
+// Muted users keep read access but may not create or edit content
+const requireCanPost = (req, res, next) => {
+  if (req.user && req.user.isMuted()) {
+    return res.status(403).json({
+      message: 'You are muted and cannot post',
+      until: req.user.mute.until,
+      reason: req.user.mute.reason
+    });
   }
+  if (requireEmailVerification && req.user && !req.user.emailVerified) {
+    return res.status(403).json({ message: 'Please verify your email address before posting' });
+  }
+  next();
 };
 
 module.exports = {
   requireAuth,
-  requireAdmin,
-  requireModerator
-};
\ No newline at end of file
+  optionalAuth,
+  requirePermission,
+  requireCanPost
+};
@@ -0,0 +1,18 @@
+const { body } = require('express-validator');
+
+// Shared by /api/auth and the deprecated /api/users sign-up and login routes
+const registerValidators = [
+  body('username').trim().isLength({ min: 3, max: 30 }).withMessage('Username must be 3-30 characters'),
+  body('email').isEmail().normalizeEmail().withMessage('Valid email required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+];
+
+const loginValidators = [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email required'),
+  body('password').notEmpty().withMessage('Password required')
+];
+
+module.exports = {
+  registerValidators,
+  loginValidators
+};
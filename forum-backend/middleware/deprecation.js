@@ -0,0 +1,8 @@
+// Marks a route as deprecated (RFC 8594 style headers) and points clients at its replacement
+const deprecated = (successor) => (req, res, next) => {
+  res.set('Deprecation', 'true');
+  res.set('Link', `<${successor}>; rel="successor-version"`);
+  next();
+};
+
+module.exports = { deprecated };
@@ -0,0 +1,69 @@
+const rateLimit = require('express-rate-limit');
+const rateLimits = require('../config/rateLimits');
+const { createMongoStore } = require('../utils/rateLimitStore');
+const { can } = require('../utils/permissions');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Memory store when unset: fine for a single instance and for tests
+const createStore = (name) => (rateLimits.store === 'mongo' ? createMongoStore(`${name}:`) : undefined);
+
+// Signed-in users are limited per account, anonymous clients per IP
+const userOrIpKey = (req) => (req.user ? `user:${req.user._id}` : `ip:${req.ip}`);
+
+const skipExempt = (req) => can(req.user, 'ratelimit.bypass');
+
+const limiter = (name, { windowMs, limit }, options = {}) => rateLimit({
+  windowMs,
+  limit,
+  standardHeaders: 'draft-6',
+  legacyHeaders: false,
+  keyGenerator: userOrIpKey,
+  skip: skipExempt,
+  store: createStore(name),
+  message: { message: 'Too many requests, please try again later.' },
+  ...options
+});
+
+const readLimiter = limiter('read', rateLimits.read);
+const writeLimiter = limiter('write', rateLimits.write);
+
+// Applied to the whole API: reads and writes draw on separate budgets
+const apiLimiter = (req, res, next) => {
+  const selected = READ_METHODS.includes(req.method) ? readLimiter : writeLimiter;
+  return selected(req, res, next);
+};
+
+// Sign-up and email-sending endpoints, always per IP so new accounts cannot reset it
+const authLimiter = limiter('auth', rateLimits.auth, {
+  keyGenerator: (req) => `ip:${req.ip}`,
+  skip: () => false
+});
+
+const isRestrictedPoster = (user) => {
+  const accountAgeMs = Date.now() - new Date(user.createdAt).getTime();
+  return accountAgeMs < rateLimits.newAccountDays * DAY_MS || user.reputation < rateLimits.lowReputation;
+};
+
+const createPostingLimiter = (kind) => {
+  const policy = rateLimits.posting[kind];
+  return limiter(`posting-${kind}`, policy, {
+    limit: (req) => (isRestrictedPoster(req.user) ? policy.restrictedLimit : policy.limit),
+    // Rejected submissions (validation errors, locked threads) do not use up the allowance
+    skipFailedRequests: true,
+    message: { message: `You are posting ${kind === 'thread' ? 'threads' : 'replies'} too quickly. Please wait before trying again.` }
+  });
+};
+
+// Must run after requireAuth
+const postingLimiter = {
+  thread: createPostingLimiter('thread'),
+  reply: createPostingLimiter('reply')
+};
+
+module.exports = {
+  apiLimiter,
+  authLimiter,
+  postingLimiter
+};
@@ -19,9 +19,83 @@ const categorySchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
-  }
+  },
+  // Subcategories point at their parent; ancestors lists every category above, root first
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  // Sort order among siblings, lowest first
+  position: {
+    type: Number,
+    default: 0
+  },
+  icon: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: ''
+  },
+  // Counters for live (not deleted) content, kept up to date by utils/categoryStats.js
+  threadCount: {
+    type: Number,
+    default: 0
+  },
+  replyCount: {
+    type: Number,
+    default: 0
+  },
+  lastActivityAt: {
+    type: Date,
+    default: null
+  },
+  lastThread: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Thread',
+    default: null
+  },
+  lastPoster: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Users who moderate threads and replies in this category only
+  moderators: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Who can see the category and its threads: everyone, signed-in users,
+  // users whose role is in allowedRoles, or users listed in members
+  visibility: {
+    type: String,
+    enum: ['public', 'members', 'restricted', 'invite'],
+    default: 'public'
+  },
+  allowedRoles: [{
+    type: String,
+    enum: ['user', 'moderator', 'admin']
+  }],
+  members: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // When set, only these roles (and the category's moderators) may start threads
+  postingRoles: [{
+    type: String,
+    enum: ['user', 'moderator', 'admin']
+  }]
 }, {
   timestamps: true
 });
 
+categorySchema.index({ moderators: 1 });
+categorySchema.index({ visibility: 1 });
+categorySchema.index({ parent: 1, position: 1, name: 1 });
+categorySchema.index({ ancestors: 1 });
+
 module.exports = mongoose.model('Category', categorySchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const moderationLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  targetType: {
+    type: String,
+    enum: ['thread', 'reply', 'user', 'category', 'tag', 'lockout'],
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  thread: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Thread'
+  },
+  reason: {
+    type: String,
+    maxlength: 500
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+moderationLogSchema.index({ createdAt: -1 });
+moderationLogSchema.index({ actor: 1, createdAt: -1 });
+moderationLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+// Entries are append-only: reject any attempt to modify or remove them
+const rejectMutation = function (next) {
+  next(new Error('Moderation log entries cannot be modified or deleted'));
+};
+
+moderationLogSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+moderationLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'],
+  rejectMutation
+);
+moderationLogSchema.pre(
+  ['deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'],
+  { document: false, query: true },
+  rejectMutation
+);
+moderationLogSchema.pre('deleteOne', { document: true, query: false }, rejectMutation);
+
+module.exports = mongoose.model('ModerationLog', moderationLogSchema);
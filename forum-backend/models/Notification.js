@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['reply', 'nested_reply', 'mention', 'vote_milestone', 'moderation', 'accepted_answer', 'watch'],
+    required: true
+  },
+  // Unread notifications sharing a key are coalesced into one ("5 people replied to X")
+  groupKey: {
+    type: String,
+    default: null
+  },
+  thread: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Thread'
+  },
+  reply: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reply'
+  },
+  // Distinct users behind the notification, oldest first
+  actors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Events folded into this notification
+  count: {
+    type: Number,
+    default: 1
+  },
+  // Type-specific details, e.g. the milestone reached or the moderation action taken
+  data: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  readAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ recipient: 1, updatedAt: -1, _id: -1 });
+notificationSchema.index({ recipient: 1, isRead: 1 });
+// At most one unread notification per group, so concurrent events coalesce instead of duplicating
+notificationSchema.index(
+  { recipient: 1, groupKey: 1 },
+  { unique: true, partialFilterExpression: { isRead: false, groupKey: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Request counter for one rate-limit key, shared by every server instance
+const rateLimitHitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  hits: {
+    type: Number,
+    default: 0
+  },
+  resetAt: {
+    type: Date,
+    required: true
+  }
+});
+
+rateLimitHitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitHit', rateLimitHitSchema);
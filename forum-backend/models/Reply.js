@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+const voteSchema = require('./schemas/vote');
+const mentionSchema = require('./schemas/mention');
+
+const replySchema = new mongoose.Schema({
+  thread: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Thread',
+    required: true
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reply',
+    default: null
+  },
+  // Materialized path of ancestor reply ids, e.g. "<rootId>/<childId>/"; empty for top-level replies
+  path: {
+    type: String,
+    default: ''
+  },
+  depth: {
+    type: Number,
+    default: 0
+  },
+  content: {
+    type: String,
+    required: true,
+    maxlength: 5000
+  },
+  // Sanitized HTML rendered from the Markdown in `content`
+  contentHtml: {
+    type: String,
+    default: ''
+  },
+  mentions: [mentionSchema],
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  votes: [voteSchema],
+  // Denormalized from `votes` so replies can be sorted and paginated by them
+  upvoteCount: {
+    type: Number,
+    default: 0
+  },
+  downvoteCount: {
+    type: Number,
+    default: 0
+  },
+  score: {
+    type: Number,
+    default: 0
+  },
+  controversy: {
+    type: Number,
+    default: 0
+  },
+  childCount: {
+    type: Number,
+    default: 0
+  },
+  isEdited: {
+    type: Boolean,
+    default: false
+  },
+  editedAt: {
+    type: Date
+  },
+  isHidden: {
+    type: Boolean,
+    default: false
+  },
+  hiddenAt: {
+    type: Date
+  },
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  purgedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+replySchema.index({ thread: 1, parent: 1, createdAt: 1 });
+replySchema.index({ thread: 1, parent: 1, score: -1 });
+replySchema.index({ thread: 1, parent: 1, controversy: -1 });
+replySchema.index({ thread: 1, path: 1 });
+replySchema.index({ author: 1 });
+replySchema.index({ 'mentions.user': 1, createdAt: -1 });
+replySchema.index({ isDeleted: 1, deletedAt: 1 });
+replySchema.index({ content: 'text' }, { name: 'reply_text' });
+
+// Controversy grows with the number of votes and peaks when they are evenly split
+replySchema.statics.voteStats = function(votes) {
+  const upvoteCount = votes.filter(vote => vote.type === 'upvote').length;
+  const downvoteCount = votes.filter(vote => vote.type === 'downvote').length;
+  const controversy = upvoteCount > 0 && downvoteCount > 0
+    ? (upvoteCount + downvoteCount) * (Math.min(upvoteCount, downvoteCount) / Math.max(upvoteCount, downvoteCount))
+    : 0;
+  return { upvoteCount, downvoteCount, score: upvoteCount - downvoteCount, controversy };
+};
+
+// Recomputes the denormalized vote fields from `votes` in a single atomic update
+replySchema.statics.refreshVoteStats = function(id) {
+  const countOf = type => ({
+    $size: { $filter: { input: '$votes', cond: { $eq: ['$$this.type', type] } } }
+  });
+  return this.updateOne({ _id: id }, [
+    { $set: { upvoteCount: countOf('upvote'), downvoteCount: countOf('downvote') } },
+    {
+      $set: {
+        score: { $subtract: ['$upvoteCount', '$downvoteCount'] },
+        controversy: {
+          $cond: [
+            { $and: [{ $gt: ['$upvoteCount', 0] }, { $gt: ['$downvoteCount', 0] }] },
+            {
+              $multiply: [
+                { $add: ['$upvoteCount', '$downvoteCount'] },
+                {
+                  $divide: [
+                    { $min: ['$upvoteCount', '$downvoteCount'] },
+                    { $max: ['$upvoteCount', '$downvoteCount'] }
+                  ]
+                }
+              ]
+            },
+            0
+          ]
+        }
+      }
+    }
+  ]);
+};
+
+replySchema.pre('validate', function(next) {
+  if (this.isModified('votes')) {
+    Object.assign(this, this.constructor.voteStats(this.votes));
+  }
+  next();
+});
+
+// Path prefix shared by every descendant of this reply
+replySchema.virtual('childPath').get(function() {
+  return `${this.path}${this._id}/`;
+});
+
+// Virtual for vote count
+replySchema.virtual('voteCount').get(function() {
+  return this.score;
+});
+
+replySchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Reply', replySchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const reportSchema = new mongoose.Schema({
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['thread', 'reply'],
+    required: true
+  },
+  thread: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Thread',
+    required: true
+  },
+  reply: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  reason: {
+    type: String,
+    enum: ['spam', 'abuse', 'harassment', 'off-topic', 'other'],
+    required: true
+  },
+  details: {
+    type: String,
+    maxlength: 500
+  },
+  status: {
+    type: String,
+    enum: ['open', 'resolved', 'dismissed'],
+    default: 'open'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  resolutionNote: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+// A user may only have one open report per thread or reply
+reportSchema.index(
+  { reporter: 1, thread: 1, reply: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+reportSchema.index({ status: 1, thread: 1, reply: 1 });
+
+module.exports = mongoose.model('Report', reportSchema);
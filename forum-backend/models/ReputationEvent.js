@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const reputationEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  source: {
+    type: String,
+    enum: [
+      'thread_upvote',
+      'thread_downvote',
+      'reply_upvote',
+      'reply_downvote',
+      'accepted_answer',
+      'moderator_penalty'
+    ],
+    required: true
+  },
+  delta: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    maxlength: 500
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  thread: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Thread'
+  },
+  reply: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reply'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+reputationEventSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ReputationEvent', reputationEventSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const TARGET_MODELS = { thread: 'Thread', category: 'Category', tag: 'Tag' };
+
+const subscriptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['thread', 'category', 'tag'],
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: function () {
+      return TARGET_MODELS[this.targetType];
+    },
+    required: true
+  },
+  // all: every new reply in a thread, or every new thread in a category or tag
+  // replies_to_me: only direct replies and mentions, as for any other post
+  // muted: nothing at all, not even direct replies and mentions in a muted thread
+  level: {
+    type: String,
+    enum: ['all', 'replies_to_me', 'muted'],
+    default: 'all'
+  }
+}, {
+  timestamps: true
+});
+
+subscriptionSchema.index({ user: 1, targetType: 1, target: 1 }, { unique: true });
+subscriptionSchema.index({ targetType: 1, target: 1, level: 1 });
+
+module.exports = mongoose.model('Subscription', subscriptionSchema);
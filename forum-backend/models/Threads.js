@@ -1,46 +1,27 @@
 const mongoose = require('mongoose');
+const voteSchema = require('./schemas/vote');
+const mentionSchema = require('./schemas/mention');
 
-const voteSchema = new mongoose.Schema({
-  user: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
-  },
-  type: {
+const moderationActionSchema = new mongoose.Schema({
+  action: {
     type: String,
-    enum: ['upvote', 'downvote'],
+    enum: ['pin', 'unpin', 'lock', 'unlock', 'move', 'merge'],
     required: true
-  }
-}, {
-  timestamps: true
-});
-
-const replySchema = new mongoose.Schema({
-  content: {
-    type: String,
-    required: true,
-    maxlength: 5000
   },
-  author: {
+  moderator: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
-  votes: [voteSchema],
-  parentReply: {
-    type: mongoose.Schema.Types.ObjectId,
-    default: null
-  },
-  replies: [this], 
-  isEdited: {
-    type: Boolean,
-    default: false
+  reason: {
+    type: String,
+    maxlength: 500
   },
-  editedAt: {
-    type: Date
+  details: {
+    type: mongoose.Schema.Types.Mixed
   }
 }, {
-  timestamps: true
+  timestamps: { createdAt: true, updatedAt: false }
 });
 
 const threadSchema = new mongoose.Schema({
@@ -55,6 +36,12 @@ const threadSchema = new mongoose.Schema({
     required: true,
     maxlength: 10000
   },
+  // Sanitized HTML rendered from the Markdown in `content`
+  contentHtml: {
+    type: String,
+    default: ''
+  },
+  mentions: [mentionSchema],
   author: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -69,8 +56,11 @@ const threadSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Tag'
   }],
-  replies: [replySchema],
   votes: [voteSchema],
+  replyCount: {
+    type: Number,
+    default: 0
+  },
   views: {
     type: Number,
     default: 0
@@ -89,11 +79,62 @@ const threadSchema = new mongoose.Schema({
   },
   editedAt: {
     type: Date
-  }
+  },
+  isHidden: {
+    type: Boolean,
+    default: false
+  },
+  hiddenAt: {
+    type: Date
+  },
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  purgedAt: {
+    type: Date
+  },
+  acceptedReply: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reply',
+    default: null
+  },
+  acceptedAt: {
+    type: Date
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Thread',
+    default: null
+  },
+  moderationHistory: [moderationActionSchema]
 }, {
   timestamps: true
 });
 
+threadSchema.index({ category: 1, acceptedReply: 1 });
+threadSchema.index({ 'mentions.user': 1, createdAt: -1 });
+threadSchema.index(
+  { title: 'text', content: 'text' },
+  { weights: { title: 5, content: 1 }, name: 'thread_text' }
+);
+
+// Virtual for solved state
+threadSchema.virtual('isSolved').get(function() {
+  return Boolean(this.acceptedReply);
+});
+
 // Virtual for vote count
 threadSchema.virtual('voteCount').get(function() {
   const upvotes = this.votes.filter(vote => vote.type === 'upvote').length;
@@ -101,18 +142,6 @@ threadSchema.virtual('voteCount').get(function() {
   return upvotes - downvotes;
 });
 
-// Virtual for reply count
-threadSchema.virtual('replyCount').get(function() {
-  const countReplies = (replies) => {
-    let count = replies.length;
-    for (const reply of replies) {
-      count += countReplies(reply.replies || []);
-    }
-    return count;
-  };
-  return countReplies(this.replies);
-});
-
 // Ensure virtual fields are serialized
 threadSchema.set('toJSON', { virtuals: true });
 
@@ -79,6 +79,44 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+// A time-limited suspension or mute issued by a moderator
+const restrictionSchema = new mongoose.Schema(
+  {
+    until: {
+      type: Date,
+      required: true
+    },
+    reason: {
+      type: String,
+      maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    issuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    issuedAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  { _id: false }
+);
+
+// One-time recovery code; only its hash is stored
+const recoveryCodeSchema = new mongoose.Schema(
+  {
+    hash: {
+      type: String,
+      required: true
+    },
+    usedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  { _id: false }
+);
+
 const userSchema = new mongoose.Schema(
   {
     username: {
@@ -102,6 +140,13 @@ const userSchema = new mongoose.Schema(
       required: [true, 'Password is required'],
       minlength: [6, 'Password must be at least 6 characters']
     },
+    emailVerified: {
+      type: Boolean,
+      default: false
+    },
+    emailVerifiedAt: {
+      type: Date
+    },
     avatar: {
       type: String,
       default: ''
@@ -123,6 +168,52 @@ const userSchema = new mongoose.Schema(
       type: String,
       enum: ['user', 'moderator', 'admin'],
       default: 'user'
+    },
+    // Suspended users cannot sign in or use the API until the date passes
+    suspension: {
+      type: restrictionSchema,
+      default: null
+    },
+    // Muted users can read but not post until the date passes
+    mute: {
+      type: restrictionSchema,
+      default: null
+    },
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      secret: String,
+      // Secret generated by setup, promoted to `secret` once a code is confirmed
+      pendingSecret: String,
+      enabledAt: Date,
+      // Last TOTP time step accepted, so a code cannot be replayed
+      lastUsedStep: {
+        type: Number,
+        default: 0
+      },
+      recoveryCodes: [recoveryCodeSchema]
+    },
+    // Notification types the user receives; everything is on until turned off
+    notificationPreferences: {
+      reply: { type: Boolean, default: true },
+      nested_reply: { type: Boolean, default: true },
+      mention: { type: Boolean, default: true },
+      vote_milestone: { type: Boolean, default: true },
+      moderation: { type: Boolean, default: true },
+      accepted_answer: { type: Boolean, default: true },
+      watch: { type: Boolean, default: true }
+    },
+    // How often unread notifications are emailed as a digest; opt-in
+    digestFrequency: {
+      type: String,
+      enum: ['off', 'daily', 'weekly'],
+      default: 'off'
+    },
+    lastDigestAt: {
+      type: Date,
+      default: null
     }
   },
   {
@@ -148,10 +239,39 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Restrictions lift themselves: they only apply while `until` is in the future
+userSchema.methods.isSuspended = function () {
+  return Boolean(this.suspension && this.suspension.until > new Date());
+};
+
+userSchema.methods.isMuted = function () {
+  return Boolean(this.mute && this.mute.until > new Date());
+};
+
+// Why this account may not use the API right now, or null if it may
+userSchema.methods.accessRestriction = function () {
+  if (!this.isActive) {
+    return { message: 'Account has been banned' };
+  }
+  if (this.isSuspended()) {
+    return {
+      message: 'Account is suspended',
+      until: this.suspension.until,
+      reason: this.suspension.reason
+    };
+  }
+  return null;
+};
+
 userSchema.methods.toJSON = function () {
   const user = this.toObject();
   delete user.password;
   delete user.__v;
+  // Never expose 2FA secrets or recovery code hashes
+  user.twoFactor = {
+    enabled: Boolean(user.twoFactor && user.twoFactor.enabled),
+    enabledAt: user.twoFactor && user.twoFactor.enabledAt
+  };
   return user;
 };
 
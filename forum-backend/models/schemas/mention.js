@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// A user @mentioned in a thread or reply, resolved when the content is saved
+const mentionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  username: {
+    type: String,
+    required: true
+  }
+}, {
+  _id: false
+});
+
+module.exports = mentionSchema;
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+const voteSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['upvote', 'downvote'],
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = voteSchema;
@@ -0,0 +1,31 @@
+const express = require('express');
+const { query, param, body } = require('express-validator');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+const controller = require('../controllers/adminController');
+
+const router = express.Router();
+
+router.get('/audit', requireAuth, requirePermission('audit.view'), [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('actor').optional().isMongoId().withMessage('Valid actor ID required'),
+  query('action').optional().trim().isLength({ min: 1, max: 50 }),
+  query('targetType').optional().isIn(['thread', 'reply', 'user', 'category', 'tag', 'lockout']).withMessage('Invalid target type'),
+  query('targetId').optional().isMongoId().withMessage('Valid target ID required'),
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date')
+], controller.getAuditLog);
+
+router.get('/lockouts', requireAuth, requirePermission('lockout.manage'), [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('scope').optional().isIn(['account', 'ip']).withMessage('Scope must be account or ip'),
+  query('all').optional().isBoolean().withMessage('all must be boolean')
+], controller.listLockouts);
+
+router.delete('/lockouts/:id', requireAuth, requirePermission('lockout.manage'), [
+  param('id').isMongoId().withMessage('Valid lockout ID required'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason must be less than 500 characters')
+], controller.clearLockout);
+
+module.exports = router;
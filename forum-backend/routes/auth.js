@@ -1,18 +1,76 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param } = require('express-validator');
+const { requireAuth, optionalAuth } = require('../middleware/auth');
+const { registerValidators, loginValidators } = require('../middleware/authValidators');
+const { authLimiter } = require('../middleware/rateLimit');
 const controller = require('../controllers/authController');
 
 const router = express.Router();
 
-router.post('/register', [
-  body('username').trim().isLength({ min: 3, max: 30 }).withMessage('Username must be 3-30 characters'),
-  body('email').isEmail().normalizeEmail().withMessage('Valid email required'),
+router.post('/register', authLimiter, registerValidators, controller.register);
+
+router.post('/login', loginValidators, controller.login);
+
+router.post('/refresh', [
+  body('refreshToken').optional().isString()
+], controller.refresh);
+
+router.post('/logout', optionalAuth, [
+  body('refreshToken').optional().isString()
+], controller.logout);
+
+router.post('/logout-all', requireAuth, controller.logoutAll);
+
+router.get('/sessions', requireAuth, controller.listSessions);
+
+router.delete('/sessions/:id', requireAuth, [
+  param('id').isMongoId().withMessage('Valid session ID required')
+], controller.revokeSession);
+
+router.put('/password', requireAuth, [
+  body('currentPassword').notEmpty().withMessage('Current password required'),
+  body('newPassword').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], controller.changePassword);
+
+router.post('/verify-email/request', authLimiter, requireAuth, controller.requestEmailVerification);
+
+router.post('/verify-email', [
+  body('token').isString().notEmpty().withMessage('Token required')
+], controller.verifyEmail);
+
+router.post('/forgot-password', authLimiter, [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email required')
+], controller.forgotPassword);
+
+router.post('/reset-password', authLimiter, [
+  body('token').isString().notEmpty().withMessage('Token required'),
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
-], controller.register);
+], controller.resetPassword);
+
+router.post('/2fa/verify', [
+  body('challengeToken').isString().notEmpty().withMessage('Challenge token required'),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString(),
+  body().custom(value => Boolean(value.code || value.recoveryCode)).withMessage('Authentication code or recovery code required')
+], controller.verifyTwoFactor);
+
+router.get('/2fa', requireAuth, controller.getTwoFactorStatus);
+
+router.post('/2fa/setup', requireAuth, controller.setupTwoFactor);
+
+router.post('/2fa/enable', requireAuth, [
+  body('code').isString().notEmpty().withMessage('Authentication code required')
+], controller.enableTwoFactor);
+
+router.post('/2fa/disable', requireAuth, [
+  body('password').notEmpty().withMessage('Password required'),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString(),
+  body().custom(value => Boolean(value.code || value.recoveryCode)).withMessage('Authentication code or recovery code required')
+], controller.disableTwoFactor);
 
-router.post('/login', [
-  body('email').isEmail().normalizeEmail().withMessage('Valid email required'),
-  body('password').notEmpty().withMessage('Password required')
-], controller.login);
+router.post('/2fa/recovery-codes', requireAuth, [
+  body('code').isString().notEmpty().withMessage('Authentication code required')
+], controller.regenerateRecoveryCodes);
 
 module.exports = router;
\ No newline at end of file
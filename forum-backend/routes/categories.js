@@ -1,14 +1,31 @@
 const express = require('express');
-const { body, query } = require('express-validator');
-const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { body, query, param } = require('express-validator');
+const { requireAuth, requirePermission } = require('../middleware/auth');
 const controller = require('../controllers/categoryController');
 
 const router = express.Router();
 
+const ROLES = ['user', 'moderator', 'admin'];
+const accessValidators = [
+  body('visibility').optional().isIn(['public', 'members', 'restricted', 'invite']).withMessage('Visibility must be public, members, restricted or invite'),
+  body('allowedRoles').optional().isArray().withMessage('allowedRoles must be an array'),
+  body('allowedRoles.*').isIn(ROLES).withMessage('Invalid role'),
+  body('postingRoles').optional().isArray().withMessage('postingRoles must be an array'),
+  body('postingRoles.*').isIn(ROLES).withMessage('Invalid role')
+];
+const reasonValidator = body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason must be less than 500 characters');
+const treeValidators = [
+  body('parent').optional({ nullable: true }).isMongoId().withMessage('Parent must be a valid category ID or null'),
+  body('position').optional().isInt().withMessage('Position must be an integer').toInt(),
+  body('icon').optional().trim().isLength({ max: 100 }).withMessage('Icon must be less than 100 characters')
+];
+
 router.get('/', [
   query('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
 ], controller.getAll);
 
+router.get('/tree', controller.getTree);
+
 router.get('/:id', [
   query('includeThreadCount').optional().isBoolean().withMessage('includeThreadCount must be a boolean')
 ], controller.getById);
@@ -16,22 +33,54 @@ router.get('/:id', [
 router.get('/:id/threads', [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
-  query('sortBy').optional().isIn(['recent', 'popular', 'views']).withMessage('Invalid sort option')
+  query('sortBy').optional().isIn(['recent', 'popular', 'views']).withMessage('Invalid sort option'),
+  query('status').optional().isIn(['solved', 'unsolved']).withMessage('Status must be solved or unsolved'),
+  query('includeDescendants').optional().isBoolean().withMessage('includeDescendants must be a boolean')
 ], controller.getThreadsByCategory);
 
-router.post('/', requireAuth, requireAdmin, [
+router.post('/', requireAuth, requirePermission('category.manage'), [
   body('name').trim().isLength({ min: 1, max: 50 }).withMessage('Name must be 1-50 characters'),
   body('description').optional().trim().isLength({ max: 200 }).withMessage('Description must be less than 200 characters'),
-  body('color').optional().matches(/^#[0-9A-F]{6}$/i).withMessage('Color must be a valid hex color')
+  body('color').optional().matches(/^#[0-9A-F]{6}$/i).withMessage('Color must be a valid hex color'),
+  ...accessValidators,
+  ...treeValidators,
+  reasonValidator
 ], controller.create);
 
-router.put('/:id', requireAuth, requireAdmin, [
+router.put('/:id', requireAuth, requirePermission('category.manage'), [
   body('name').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Name must be 1-50 characters'),
   body('description').optional().trim().isLength({ max: 200 }).withMessage('Description must be less than 200 characters'),
   body('color').optional().matches(/^#[0-9A-F]{6}$/i).withMessage('Color must be a valid hex color'),
-  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  ...accessValidators,
+  ...treeValidators,
+  reasonValidator
 ], controller.update);
 
-router.delete('/:id', requireAuth, requireAdmin, controller.remove);
+router.delete('/:id', requireAuth, requirePermission('category.manage'), [reasonValidator], controller.remove);
+
+router.post('/:id/moderators', requireAuth, requirePermission('category.manage'), [
+  param('id').isMongoId().withMessage('Valid category ID required'),
+  body('userId').isMongoId().withMessage('Valid user ID required'),
+  reasonValidator
+], controller.addModerator);
+
+router.delete('/:id/moderators/:userId', requireAuth, requirePermission('category.manage'), [
+  param('id').isMongoId().withMessage('Valid category ID required'),
+  param('userId').isMongoId().withMessage('Valid user ID required'),
+  reasonValidator
+], controller.removeModerator);
+
+router.post('/:id/members', requireAuth, requirePermission('category.manage'), [
+  param('id').isMongoId().withMessage('Valid category ID required'),
+  body('userId').isMongoId().withMessage('Valid user ID required'),
+  reasonValidator
+], controller.addMember);
+
+router.delete('/:id/members/:userId', requireAuth, requirePermission('category.manage'), [
+  param('id').isMongoId().withMessage('Valid category ID required'),
+  param('userId').isMongoId().withMessage('Valid user ID required'),
+  reasonValidator
+], controller.removeMember);
 
 module.exports = router;
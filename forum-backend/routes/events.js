@@ -0,0 +1,16 @@
+const express = require('express');
+const { query } = require('express-validator');
+const controller = require('../controllers/eventController');
+
+const router = express.Router();
+
+const isIdList = (value) => value.split(',').filter(Boolean).every(id => /^[a-f\d]{24}$/i.test(id));
+
+// Server-Sent Events; the access token comes from the usual cookie or Authorization header
+router.get('/', [
+  query('threads').optional().isString().custom(isIdList).withMessage('threads must be comma-separated thread IDs'),
+  query('categories').optional().isString().custom(isIdList).withMessage('categories must be comma-separated category IDs'),
+  query('notifications').optional().isBoolean().withMessage('notifications must be a boolean')
+], controller.stream);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { requireAuth } = require('../middleware/auth');
+const controller = require('../controllers/notificationController');
+
+const router = express.Router();
+
+const PREFERENCE_TYPES = ['reply', 'nested_reply', 'mention', 'vote_milestone', 'moderation', 'accepted_answer', 'watch'];
+
+router.get('/', requireAuth, [
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('cursor').optional().isString(),
+  query('unread').optional().isBoolean().withMessage('unread must be a boolean')
+], controller.list);
+
+router.get('/unread-count', requireAuth, controller.unreadCount);
+
+router.get('/preferences', requireAuth, controller.getPreferences);
+
+router.put('/preferences', requireAuth, PREFERENCE_TYPES.map(type => (
+  body(type).optional().isBoolean().withMessage(`${type} must be a boolean`).toBoolean()
+)), controller.updatePreferences);
+
+router.put('/read-all', requireAuth, controller.markAllRead);
+
+router.put('/:id/read', requireAuth, [
+  param('id').isMongoId().withMessage('Valid notification ID required')
+], controller.markRead);
+
+module.exports = router;
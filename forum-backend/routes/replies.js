@@ -1,19 +1,43 @@
 const express = require('express');
-const { body } = require('express-validator');
-const { requireAuth } = require('../middleware/auth');
+const { body, param } = require('express-validator');
+const { requireAuth, requireCanPost, requirePermission } = require('../middleware/auth');
+const { postingLimiter } = require('../middleware/rateLimit');
 const controller = require('../controllers/replyController');
+const reportController = require('../controllers/reportController');
 
 const router = express.Router();
 
-router.post('/:threadId', requireAuth, [
+router.post('/:threadId', requireAuth, requirePermission('reply.create'), requireCanPost, postingLimiter.reply, [
   body('content').trim().isLength({ min: 1, max: 5000 }).withMessage('Content must be 1-5000 characters'),
   body('parentReply').optional().isMongoId().withMessage('Valid parent reply ID required')
 ], controller.create);
 
-router.put('/:threadId/reply/:replyId', requireAuth, [
+router.put('/:threadId/reply/:replyId', requireAuth, requireCanPost, [
+  param('replyId').isMongoId().withMessage('Valid reply ID required'),
   body('content').trim().isLength({ min: 1, max: 5000 }).withMessage('Content must be 1-5000 characters')
 ], controller.update);
 
-router.delete('/:threadId/reply/:replyId', requireAuth, controller.remove);
+router.delete('/:threadId/reply/:replyId', requireAuth, [
+  param('replyId').isMongoId().withMessage('Valid reply ID required')
+], controller.remove);
+
+router.put('/:threadId/reply/:replyId/restore', requireAuth, [
+  param('replyId').isMongoId().withMessage('Valid reply ID required'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason must be less than 500 characters')
+], controller.restore);
+
+router.put('/:threadId/reply/:replyId/accept', requireAuth, [
+  param('replyId').isMongoId().withMessage('Valid reply ID required')
+], controller.accept);
+
+router.delete('/:threadId/reply/:replyId/accept', requireAuth, [
+  param('replyId').isMongoId().withMessage('Valid reply ID required')
+], controller.unaccept);
+
+router.post('/:threadId/reply/:replyId/report', requireAuth, requirePermission('report.create'), [
+  param('replyId').isMongoId().withMessage('Valid reply ID required'),
+  body('reason').isIn(['spam', 'abuse', 'harassment', 'off-topic', 'other']).withMessage('Invalid report reason'),
+  body('details').optional().trim().isLength({ max: 500 }).withMessage('Details must be less than 500 characters')
+], reportController.reportReply);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,24 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+const controller = require('../controllers/reportController');
+
+const router = express.Router();
+
+router.get('/', requireAuth, requirePermission('report.review'), [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('targetType').optional().isIn(['thread', 'reply']).withMessage('Invalid target type')
+], controller.getQueue);
+
+router.put('/:id/resolve', requireAuth, requirePermission('report.review'), [
+  param('id').isMongoId().withMessage('Valid report ID required'),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note must be less than 500 characters')
+], controller.resolve);
+
+router.put('/:id/dismiss', requireAuth, requirePermission('report.review'), [
+  param('id').isMongoId().withMessage('Valid report ID required'),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note must be less than 500 characters')
+], controller.dismiss);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const { query } = require('express-validator');
+const controller = require('../controllers/searchController');
+
+const router = express.Router();
+
+router.get('/', [
+  query('q').trim().isLength({ min: 1, max: 200 }).withMessage('Search query must be 1-200 characters'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], controller.search);
+
+module.exports = router;
@@ -0,0 +1,36 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { requireAuth } = require('../middleware/auth');
+const controller = require('../controllers/subscriptionController');
+
+const router = express.Router();
+
+const TARGET_TYPES = ['thread', 'category', 'tag'];
+
+const targetValidators = [
+  param('targetType').isIn(TARGET_TYPES).withMessage('Target type must be thread, category or tag'),
+  param('targetId').isMongoId().withMessage('Valid target ID required')
+];
+
+router.get('/', requireAuth, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('targetType').optional().isIn(TARGET_TYPES).withMessage('Target type must be thread, category or tag')
+], controller.list);
+
+router.get('/digest', requireAuth, controller.getDigest);
+
+router.put('/digest', requireAuth, [
+  body('frequency').isIn(['off', 'daily', 'weekly']).withMessage('Frequency must be off, daily or weekly')
+], controller.updateDigest);
+
+router.get('/:targetType/:targetId', requireAuth, targetValidators, controller.get);
+
+router.put('/:targetType/:targetId', requireAuth, [
+  ...targetValidators,
+  body('level').optional().isIn(['all', 'replies_to_me', 'muted']).withMessage('Level must be all, replies_to_me or muted')
+], controller.watch);
+
+router.delete('/:targetType/:targetId', requireAuth, targetValidators, controller.unwatch);
+
+module.exports = router;
@@ -1,10 +1,12 @@
 const express = require('express');
 const { body, query } = require('express-validator');
-const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { requireAuth, requirePermission } = require('../middleware/auth');
 const controller = require('../controllers/tagController');
 
 const router = express.Router();
 
+const reasonValidator = body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason must be less than 500 characters');
+
 router.get('/', [
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 100 }),
@@ -15,18 +17,20 @@ router.get('/popular', controller.popular);
 
 router.get('/:id', controller.getById);
 
-router.post('/', requireAuth, requireAdmin, [
+router.post('/', requireAuth, requirePermission('tag.manage'), [
   body('name').trim().isLength({ min: 1, max: 30 }).withMessage('Name must be 1-30 characters').customSanitizer(value => value.toLowerCase()),
   body('description').optional().trim().isLength({ max: 100 }).withMessage('Description must be less than 100 characters'),
-  body('color').optional().matches(/^#[0-9A-F]{6}$/i).withMessage('Color must be a valid hex color')
+  body('color').optional().matches(/^#[0-9A-F]{6}$/i).withMessage('Color must be a valid hex color'),
+  reasonValidator
 ], controller.create);
 
-router.put('/:id', requireAuth, requireAdmin, [
+router.put('/:id', requireAuth, requirePermission('tag.manage'), [
   body('name').optional().trim().isLength({ min: 1, max: 30 }).withMessage('Name must be 1-30 characters').customSanitizer(value => value?.toLowerCase()),
   body('description').optional().trim().isLength({ max: 100 }).withMessage('Description must be less than 100 characters'),
-  body('color').optional().matches(/^#[0-9A-F]{6}$/i).withMessage('Color must be a valid hex color')
+  body('color').optional().matches(/^#[0-9A-F]{6}$/i).withMessage('Color must be a valid hex color'),
+  reasonValidator
 ], controller.update);
 
-router.delete('/:id', requireAuth, requireAdmin, controller.remove);
+router.delete('/:id', requireAuth, requirePermission('tag.manage'), [reasonValidator], controller.remove);
 
 module.exports = router;
\ No newline at end of file
@@ -1,33 +1,81 @@
 const express = require('express');
-const { body, query } = require('express-validator');
-const { requireAuth } = require('../middleware/auth');
+const { body, query, param } = require('express-validator');
+const { requireAuth, optionalAuth, requireCanPost, requirePermission } = require('../middleware/auth');
+const { postingLimiter } = require('../middleware/rateLimit');
 const controller = require('../controllers/threadController');
+const replyController = require('../controllers/replyController');
+const reportController = require('../controllers/reportController');
 
 const router = express.Router();
 
-router.get('/', [
+router.get('/', optionalAuth, [
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 50 }),
   query('sortBy').optional().isIn(['recent', 'popular', 'views']),
   query('category').optional().isMongoId(),
+  query('status').optional().isIn(['solved', 'unsolved']),
   query('tags').optional(),
-  query('search').optional()
+  query('search').optional().trim().isLength({ max: 200 })
 ], controller.list);
 
-router.get('/:id', controller.getById);
+router.get('/:id', optionalAuth, controller.getById);
 
-router.post('/', requireAuth, [
+const replyPageValidators = [
+  param('id').isMongoId().withMessage('Valid thread ID required'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('depth').optional().isInt({ min: 1, max: 10 }).withMessage('Depth must be between 1 and 10'),
+  query('sort').optional().isIn(['oldest', 'newest', 'top', 'controversial']).withMessage('Invalid sort option'),
+  query('cursor').optional().isString()
+];
+
+router.get('/:id/replies', optionalAuth, replyPageValidators, replyController.list);
+
+router.get('/:id/replies/:replyId/children', optionalAuth, [
+  ...replyPageValidators,
+  param('replyId').isMongoId().withMessage('Valid reply ID required')
+], replyController.listChildren);
+
+router.post('/', requireAuth, requirePermission('thread.create'), requireCanPost, postingLimiter.thread, [
   body('title').trim().isLength({ min: 5, max: 200 }).withMessage('Title must be 5-200 characters'),
   body('content').trim().isLength({ min: 10, max: 10000 }).withMessage('Content must be 10-10000 characters'),
   body('category').isMongoId().withMessage('Valid category required'),
   body('tags').optional().isArray({ max: 5 }).withMessage('Maximum 5 tags allowed')
 ], controller.create);
 
-router.put('/:id', requireAuth, [
+router.put('/:id', requireAuth, requireCanPost, [
   body('title').optional().trim().isLength({ min: 5, max: 200 }),
   body('content').optional().trim().isLength({ min: 10, max: 10000 }),
 ], controller.update);
 
 router.delete('/:id', requireAuth, controller.remove);
 
+router.put('/:id/pin', requireAuth, [
+  body('isPinned').isBoolean().withMessage('isPinned must be a boolean').toBoolean(),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason must be less than 500 characters')
+], controller.setPinned);
+
+router.put('/:id/lock', requireAuth, [
+  body('isLocked').isBoolean().withMessage('isLocked must be a boolean').toBoolean(),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason must be less than 500 characters')
+], controller.setLocked);
+
+router.put('/:id/move', requireAuth, [
+  body('category').isMongoId().withMessage('Valid category required'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason must be less than 500 characters')
+], controller.move);
+
+router.post('/:id/merge', requireAuth, [
+  body('targetThread').isMongoId().withMessage('Valid target thread required'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason must be less than 500 characters')
+], controller.merge);
+
+router.put('/:id/restore', requireAuth, [
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason must be less than 500 characters')
+], controller.restore);
+
+router.post('/:id/report', requireAuth, requirePermission('report.create'), [
+  body('reason').isIn(['spam', 'abuse', 'harassment', 'off-topic', 'other']).withMessage('Invalid report reason'),
+  body('details').optional().trim().isLength({ max: 500 }).withMessage('Details must be less than 500 characters')
+], reportController.reportThread);
+
 module.exports = router;
\ No newline at end of file
@@ -1,14 +1,24 @@
 const express = require('express');
-const { body } = require('express-validator');
-const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { body, query } = require('express-validator');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+const { registerValidators, loginValidators } = require('../middleware/authValidators');
+const { deprecated } = require('../middleware/deprecation');
+const { authLimiter } = require('../middleware/rateLimit');
 const controller = require('../controllers/userController');
+const authController = require('../controllers/authController');
 
 const router = express.Router();
 
 router.get('/profile', requireAuth, controller.getProfile);
-router.post('/register', controller.register);
+router.get('/me/permissions', requireAuth, controller.getPermissions);
+router.get('/me/mentions', requireAuth, [
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('cursor').optional().isString()
+], controller.getMentions);
+// Deprecated aliases of /api/auth/register and /api/auth/login with identical behavior
+router.post('/register', deprecated('/api/auth/register'), authLimiter, registerValidators, authController.register);
 router.get('/:id', controller.getById);
-router.post('/login', controller.login);
+router.post('/login', deprecated('/api/auth/login'), loginValidators, authController.login);
 
 router.put('/profile', requireAuth, [
   body('username').optional().trim().isLength({ min: 3, max: 30 }).withMessage('Username must be 3-30 characters'),
@@ -16,14 +26,40 @@ router.put('/profile', requireAuth, [
   body('avatar').optional().isURL().withMessage('Avatar must be a valid URL')
 ], controller.updateProfile);
 
-router.get('/', requireAuth, requireAdmin, controller.list);
+router.get('/', requireAuth, requirePermission('user.manage'), controller.list);
 
-router.put('/:id/role', requireAuth, requireAdmin, [
-  body('role').isIn(['user', 'moderator', 'admin']).withMessage('Invalid role')
+router.put('/:id/role', requireAuth, requirePermission('user.manage'), [
+  body('role').isIn(['user', 'moderator', 'admin']).withMessage('Invalid role'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason must be less than 500 characters')
 ], controller.updateRole);
 
-router.put('/:id/status', requireAuth, requireAdmin, [
-  body('isActive').isBoolean().withMessage('Status must be boolean')
+router.put('/:id/status', requireAuth, requirePermission('user.manage'), [
+  body('isActive').isBoolean().withMessage('Status must be boolean'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason must be less than 500 characters')
 ], controller.updateStatus);
 
+router.get('/:id/reputation', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], controller.getReputation);
+
+router.post('/:id/reputation/penalty', requireAuth, requirePermission('user.reputation.penalize'), [
+  body('points').isInt({ min: 1, max: 10000 }).withMessage('Points must be a positive integer').toInt(),
+  body('reason').trim().isLength({ min: 1, max: 500 }).withMessage('Reason must be 1-500 characters')
+], controller.penalize);
+
+const restrictionValidators = [
+  body('until').isISO8601().withMessage('until must be an ISO 8601 date')
+    .custom(value => new Date(value) > new Date()).withMessage('until must be in the future'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason must be less than 500 characters')
+];
+const liftValidators = [
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason must be less than 500 characters')
+];
+
+router.put('/:id/suspension', requireAuth, requirePermission('user.restrict'), restrictionValidators, controller.suspend);
+router.delete('/:id/suspension', requireAuth, requirePermission('user.restrict'), liftValidators, controller.unsuspend);
+router.put('/:id/mute', requireAuth, requirePermission('user.restrict'), restrictionValidators, controller.mute);
+router.delete('/:id/mute', requireAuth, requirePermission('user.restrict'), liftValidators, controller.unmute);
+
 module.exports = router;
\ No newline at end of file
@@ -1,15 +1,15 @@
 const express = require('express');
 const { body } = require('express-validator');
-const { requireAuth } = require('../middleware/auth');
+const { requireAuth, requirePermission } = require('../middleware/auth');
 const controller = require('../controllers/voteController');
 
 const router = express.Router();
 
-router.post('/thread/:threadId', requireAuth, [
+router.post('/thread/:threadId', requireAuth, requirePermission('vote.cast'), [
   body('type').isIn(['upvote', 'downvote']).withMessage('Vote type must be upvote or downvote')
 ], controller.voteThread);
 
-router.post('/thread/:threadId/reply/:replyId', requireAuth, [
+router.post('/thread/:threadId/reply/:replyId', requireAuth, requirePermission('vote.cast'), [
   body('type').isIn(['upvote', 'downvote']).withMessage('Vote type must be upvote or downvote')
 ], controller.voteReply);
 
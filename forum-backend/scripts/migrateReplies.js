@@ -0,0 +1,78 @@
+// One-shot migration: moves replies embedded in thread documents into the
+// Reply collection. Safe to re-run; threads without embedded replies are skipped.
+//   node scripts/migrateReplies.js
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Thread = require('../models/Threads');
+const Reply = require('../models/Reply');
+
+dotenv.config();
+
+const flatten = (threadId, replies, parent, path, depth, out) => {
+  for (const embedded of replies || []) {
+    const _id = embedded._id || new mongoose.Types.ObjectId();
+    out.push({
+      _id,
+      thread: threadId,
+      parent,
+      path,
+      depth,
+      content: embedded.content,
+      author: embedded.author,
+      votes: embedded.votes || [],
+      ...Reply.voteStats(embedded.votes || []),
+      childCount: (embedded.replies || []).length,
+      isEdited: Boolean(embedded.isEdited),
+      editedAt: embedded.editedAt,
+      isHidden: Boolean(embedded.isHidden),
+      hiddenAt: embedded.hiddenAt,
+      isDeleted: Boolean(embedded.isDeleted),
+      deletedAt: embedded.deletedAt,
+      deletedBy: embedded.deletedBy,
+      purgedAt: embedded.purgedAt,
+      createdAt: embedded.createdAt || new Date(),
+      updatedAt: embedded.updatedAt || embedded.createdAt || new Date()
+    });
+    flatten(threadId, embedded.replies, _id, `${path}${_id}/`, depth + 1, out);
+  }
+  return out;
+};
+
+const migrate = async () => {
+  let threads = 0;
+  let replies = 0;
+
+  // Read the raw collection: the Thread schema no longer knows about `replies`
+  const cursor = Thread.collection.find({ replies: { $exists: true } });
+  for (let thread = await cursor.next(); thread; thread = await cursor.next()) {
+    const docs = flatten(thread._id, thread.replies, null, '', 0, []);
+    if (docs.length > 0) {
+      await Reply.collection.bulkWrite(
+        docs.map(doc => ({ replaceOne: { filter: { _id: doc._id }, replacement: doc, upsert: true } })),
+        { ordered: false }
+      );
+    }
+    const replyCount = await Reply.countDocuments({ thread: thread._id });
+    await Thread.collection.updateOne(
+      { _id: thread._id },
+      { $unset: { replies: '' }, $set: { replyCount } }
+    );
+    threads += 1;
+    replies += docs.length;
+  }
+
+  await Reply.syncIndexes();
+  return { threads, replies };
+};
+
+mongoose
+  .connect(process.env.MONGO_URI)
+  .then(() => migrate())
+  .then((result) => {
+    console.log('✅ Reply migration complete:', result);
+    return mongoose.disconnect();
+  })
+  .catch((err) => {
+    console.error('❌ Reply migration failed:', err);
+    process.exit(1);
+  });
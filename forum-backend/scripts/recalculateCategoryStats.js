@@ -0,0 +1,20 @@
+// Recounts threads, replies and last activity for every category.
+//   node scripts/recalculateCategoryStats.js
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const { recalculateCategoryStats } = require('../utils/categoryStats');
+
+mongoose
+  .connect(process.env.MONGO_URI)
+  .then(() => recalculateCategoryStats())
+  .then((result) => {
+    console.log('✅ Category stats recalculated:', result);
+    return mongoose.disconnect();
+  })
+  .catch((err) => {
+    console.error('❌ Category stats recalculation failed:', err);
+    process.exit(1);
+  });
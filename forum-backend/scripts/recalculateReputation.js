@@ -0,0 +1,20 @@
+// Rebuilds every user's reputation from the ReputationEvent ledger.
+//   node scripts/recalculateReputation.js
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const { recalculateReputation } = require('../utils/reputation');
+
+mongoose
+  .connect(process.env.MONGO_URI)
+  .then(() => recalculateReputation())
+  .then((result) => {
+    console.log('✅ Reputation recalculated:', result);
+    return mongoose.disconnect();
+  })
+  .catch((err) => {
+    console.error('❌ Reputation recalculation failed:', err);
+    process.exit(1);
+  });
@@ -0,0 +1,54 @@
+// Renders `contentHtml` for threads and replies saved before Markdown rendering
+// existed. Pass --all to re-render everything, e.g. after the sanitizer allow-list changes.
+//   node scripts/renderContentHtml.js [--all]
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const Thread = require('../models/Threads');
+const Reply = require('../models/Reply');
+const { renderMarkdown } = require('../utils/markdown');
+
+const BATCH_SIZE = 500;
+
+const renderAll = async (Model, all) => {
+  const filter = all ? {} : { contentHtml: { $in: [null, ''] } };
+  const cursor = Model.find(filter).select('content').lean().cursor();
+  let rendered = 0;
+  let batch = [];
+  const flush = async () => {
+    if (batch.length > 0) {
+      await Model.bulkWrite(batch, { ordered: false });
+      rendered += batch.length;
+      batch = [];
+    }
+  };
+  for (let doc = await cursor.next(); doc; doc = await cursor.next()) {
+    batch.push({
+      updateOne: { filter: { _id: doc._id }, update: { $set: { contentHtml: renderMarkdown(doc.content) } } }
+    });
+    if (batch.length === BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+  return rendered;
+};
+
+const render = async (all) => ({
+  threads: await renderAll(Thread, all),
+  replies: await renderAll(Reply, all)
+});
+
+mongoose
+  .connect(process.env.MONGO_URI)
+  .then(() => render(process.argv.includes('--all')))
+  .then((result) => {
+    console.log('✅ Content HTML rendered:', result);
+    return mongoose.disconnect();
+  })
+  .catch((err) => {
+    console.error('❌ Content HTML rendering failed:', err);
+    process.exit(1);
+  });
@@ -0,0 +1,30 @@
+// One-shot migration: marks accounts created before email verification existed
+// as verified, so REQUIRE_EMAIL_VERIFICATION does not lock them out of posting.
+// Only users without an `emailVerified` field are touched; safe to re-run.
+//   node scripts/verifyExistingUsers.js
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/User');
+
+dotenv.config();
+
+const verifyExistingUsers = async () => {
+  // Raw collection update, so every account's updatedAt is not bumped by the migration
+  const { modifiedCount } = await User.collection.updateMany(
+    { emailVerified: { $exists: false } },
+    { $set: { emailVerified: true, emailVerifiedAt: new Date() } }
+  );
+  return { users: modifiedCount };
+};
+
+mongoose
+  .connect(process.env.MONGO_URI)
+  .then(() => verifyExistingUsers())
+  .then((result) => {
+    console.log('✅ Existing users marked verified:', result);
+    return mongoose.disconnect();
+  })
+  .catch((err) => {
+    console.error('❌ Verifying existing users failed:', err);
+    process.exit(1);
+  });
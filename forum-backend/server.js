@@ -84,14 +84,26 @@ const cors = require("cors");
 const passport = require("passport");
 const helmet = require("helmet");
 const morgan = require("morgan");
-const rateLimit = require("express-rate-limit");
 const cookieParser = require("cookie-parser");
 
 // Load environment variables
 dotenv.config();
 
+// Local modules read their config from the environment, so they load after dotenv
+const purgeDeleted = require("./jobs/purgeDeleted");
+const sendDigests = require("./jobs/sendDigests");
+const { digestIntervalMinutes } = require("./config/notifications");
+const { optionalAuth } = require("./middleware/auth");
+const { apiLimiter } = require("./middleware/rateLimit");
+const realtime = require("./utils/realtime");
+
 const app = express();
 
+// Behind a reverse proxy, set TRUST_PROXY (e.g. 1) so req.ip is the client address
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(express.json());
 app.use(cors());
@@ -100,17 +112,13 @@ app.use(morgan("dev")); // request logging
 app.use(cookieParser()); // parse cookies for JWT
 app.use(passport.initialize());
 
-// Rate Limiting (basic: 100 requests / 15 min per IP)
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000,
-  max: 100,
-  message: "Too many requests, please try again later.",
-});
-app.use(limiter);
-
 // Passport config
 require("./config/passport")(passport);
 
+// Rate limiting: the user is resolved first so limits can follow the account and its role
+app.use(optionalAuth);
+app.use(apiLimiter);
+
 app.use("/api/auth", require("./routes/auth"));
 app.use("/api/users", require("./routes/users"));
 app.use("/api/threads", require("./routes/threads"));
@@ -118,6 +126,12 @@ app.use("/api/replies", require("./routes/replies"));
 app.use("/api/votes", require("./routes/votes"));
 app.use("/api/categories", require("./routes/categories"));
 app.use("/api/tags", require("./routes/tags"));
+app.use("/api/search", require("./routes/search"));
+app.use("/api/reports", require("./routes/reports"));
+app.use("/api/admin", require("./routes/admin"));
+app.use("/api/notifications", require("./routes/notifications"));
+app.use("/api/subscriptions", require("./routes/subscriptions"));
+app.use("/api/events", require("./routes/events"));
 // All routes are defined above
 
 // 404 handler
@@ -137,12 +151,24 @@ mongoose
     useNewUrlParser: true,
     useUnifiedTopology: true,
   })
-  .then(() => console.log("✅ MongoDB connected"))
+  .then(() => {
+    console.log("✅ MongoDB connected");
+    // Purge soft-deleted content past its retention period once a day
+    setInterval(() => {
+      purgeDeleted().catch((err) => console.error("❌ Purge job failed:", err));
+    }, 24 * 60 * 60 * 1000);
+    // Email daily and weekly digests to users who are due one
+    setInterval(() => {
+      sendDigests().catch((err) => console.error("❌ Digest job failed:", err));
+    }, digestIntervalMinutes * 60 * 1000);
+  })
   .catch((err) => console.error("❌ MongoDB connection error:", err));
 
 // Start server
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => console.log(`🚀 Server running on port ${PORT}`));
+// Real-time event streams share the HTTP server; the hub keeps them alive and signed in
+realtime.start();
 
 
 
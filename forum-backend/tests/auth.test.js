@@ -0,0 +1,180 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.JWT_SECRET = 'test-secret';
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const passport = require('passport');
+
+const db = require('./helpers/db');
+const { createUser } = require('./helpers/fixtures');
+const { setTransport } = require('../utils/mailer');
+const { optionalAuth } = require('../middleware/auth');
+const { apiLimiter } = require('../middleware/rateLimit');
+
+// /api/users/register and /api/users/login are deprecated aliases that must behave exactly like /api/auth
+const ROUTES = {
+  auth: '/api/auth',
+  users: '/api/users'
+};
+
+const PASSWORD = 'Password123!';
+
+// The same middleware and routers as server.js, without connecting to a database or starting jobs
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use(passport.initialize());
+  require('../config/passport')(passport);
+  app.use(optionalAuth);
+  app.use(apiLimiter);
+  app.use('/api/auth', require('../routes/auth'));
+  app.use('/api/users', require('../routes/users'));
+  return app;
+};
+
+let server = null;
+let baseUrl = null;
+
+const request = async (method, path, { body, token } = {}) => {
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers,
+    body: body && JSON.stringify(body)
+  });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+};
+
+const post = (path, body) => request('POST', path, { body });
+
+// Runs the same request against both route sets
+const againstBoth = async (path, body) => ({
+  auth: await post(`${ROUTES.auth}${path}`, body),
+  users: await post(`${ROUTES.users}${path}`, body)
+});
+
+const cookieNames = (response) => response.headers.getSetCookie().map(cookie => cookie.split('=')[0]).sort();
+
+// Both route sets must open a working session and answer with the same fields
+const assertSession = async (response) => {
+  assert.equal(typeof response.body.token, 'string');
+  assert.equal(typeof response.body.refreshToken, 'string');
+  assert.equal(response.body.user.password, undefined);
+  assert.deepEqual(cookieNames(response), ['refreshToken', 'token']);
+  const sessions = await request('GET', '/api/auth/sessions', { token: response.body.token });
+  assert.equal(sessions.status, 200);
+};
+
+describe('auth endpoints', () => {
+  before(async () => {
+    setTransport({ send: async () => {} });
+    await db.connect();
+    server = buildApp().listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await db.disconnect();
+  });
+  // Also forgets login failures, so each test starts with an unthrottled account and IP
+  beforeEach(() => db.clear());
+
+  describe('register', () => {
+    it('rejects invalid input with the same 400 validation errors', async () => {
+      const { auth, users } = await againstBoth('/register', { username: 'ab', email: 'not-an-email', password: '123' });
+
+      assert.equal(auth.status, 400);
+      assert.equal(users.status, 400);
+      assert.deepEqual(auth.body.errors.map(error => error.path), ['username', 'email', 'password']);
+      assert.deepEqual(users.body, auth.body);
+    });
+
+    it('creates an account and a session with the same response shape', async () => {
+      const auth = await post('/api/auth/register', { username: 'alice', email: 'alice@example.com', password: PASSWORD });
+      const users = await post('/api/users/register', { username: 'bob', email: 'bob@example.com', password: PASSWORD });
+
+      assert.equal(auth.status, 201);
+      assert.equal(users.status, 201);
+      assert.deepEqual(Object.keys(users.body).sort(), Object.keys(auth.body).sort());
+      assert.equal(users.body.message, auth.body.message);
+      assert.equal(auth.body.user.username, 'alice');
+      assert.equal(users.body.user.username, 'bob');
+      await assertSession(auth);
+      await assertSession(users);
+    });
+
+    it('refuses an existing email with the same 400', async () => {
+      await createUser({ username: 'carol', email: 'carol@example.com' });
+      const { auth, users } = await againstBoth('/register', { username: 'carol2', email: 'carol@example.com', password: PASSWORD });
+
+      assert.equal(auth.status, 400);
+      assert.equal(users.status, 400);
+      assert.deepEqual(users.body, auth.body);
+    });
+
+    it('marks only the /api/users variant as deprecated', async () => {
+      const { auth, users } = await againstBoth('/register', {});
+
+      assert.equal(auth.headers.get('deprecation'), null);
+      assert.equal(users.headers.get('deprecation'), 'true');
+      assert.match(users.headers.get('link'), /<\/api\/auth\/register>; rel="successor-version"/);
+    });
+  });
+
+  describe('login', () => {
+    it('rejects invalid input with the same 400 validation errors', async () => {
+      const { auth, users } = await againstBoth('/login', { email: 'not-an-email' });
+
+      assert.equal(auth.status, 400);
+      assert.equal(users.status, 400);
+      assert.deepEqual(auth.body.errors.map(error => error.path), ['email', 'password']);
+      assert.deepEqual(users.body, auth.body);
+    });
+
+    it('answers a wrong password with the same 401', async () => {
+      const user = await createUser();
+      const { auth, users } = await againstBoth('/login', { email: user.email, password: 'wrong-password' });
+
+      assert.equal(auth.status, 401);
+      assert.equal(users.status, 401);
+      assert.deepEqual(auth.body, { message: 'Invalid email or password' });
+      assert.deepEqual(users.body, auth.body);
+    });
+
+    it('opens a session with the same response shape', async () => {
+      const user = await createUser();
+      const { auth, users } = await againstBoth('/login', { email: user.email, password: PASSWORD });
+
+      assert.equal(auth.status, 200);
+      assert.equal(users.status, 200);
+      assert.deepEqual(Object.keys(users.body).sort(), Object.keys(auth.body).sort());
+      assert.equal(users.body.message, 'Login successful');
+      assert.equal(users.body.user._id, auth.body.user._id);
+      await assertSession(auth);
+      await assertSession(users);
+    });
+
+    for (const [name, base] of Object.entries(ROUTES)) {
+      it(`throttles repeated failures with 429 and Retry-After on ${base}/login (${name})`, async () => {
+        const user = await createUser();
+        // The first failures past the free attempts start a backoff
+        for (let attempt = 0; attempt < 4; attempt++) {
+          const failed = await post(`${base}/login`, { email: user.email, password: 'wrong-password' });
+          assert.equal(failed.status, 401);
+        }
+
+        const throttled = await post(`${base}/login`, { email: user.email, password: PASSWORD });
+
+        assert.equal(throttled.status, 429);
+        assert.ok(Number(throttled.headers.get('retry-after')) >= 1);
+        assert.equal(throttled.body.retryAfter, Number(throttled.headers.get('retry-after')));
+        assert.equal(throttled.body.message, 'Too many failed login attempts. Please wait before trying again.');
+      });
+    }
+  });
+});
@@ -0,0 +1,123 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const db = require('./helpers/db');
+const { createUser, createThread, invoke } = require('./helpers/fixtures');
+const Thread = require('../models/Threads');
+const Reply = require('../models/Reply');
+const { castVote } = require('../utils/votes');
+const { setTransport } = require('../utils/mailer');
+const replyController = require('../controllers/replyController');
+
+// How many writers race each other in every test
+const PARALLEL = 25;
+
+const createUsers = (count) => Promise.all(Array.from({ length: count }, () => createUser()));
+
+const createReply = (user, thread, body) => invoke(replyController.create, {
+  user,
+  params: { threadId: thread._id.toString() },
+  body
+});
+
+describe('concurrent writes', () => {
+  before(async () => {
+    setTransport({ send: async () => {} });
+    await db.connect();
+  });
+  after(() => db.disconnect());
+  beforeEach(() => db.clear());
+
+  describe('castVote', () => {
+    it('keeps every vote when many users vote on a thread at once', async () => {
+      const thread = await createThread();
+      const voters = await createUsers(PARALLEL);
+
+      const results = await Promise.all(voters.map(voter =>
+        castVote(Thread, { _id: thread._id }, voter._id, 'upvote')));
+
+      for (const result of results) {
+        assert.deepEqual(result, { previous: null, current: 'upvote' });
+      }
+      const saved = await Thread.findById(thread._id);
+      assert.equal(saved.votes.length, PARALLEL);
+      assert.equal(saved.voteCount, PARALLEL);
+      assert.equal(new Set(saved.votes.map(vote => vote.user.toString())).size, PARALLEL);
+    });
+
+    it('keeps every vote and the vote stats when many users vote on a reply at once', async () => {
+      const thread = await createThread();
+      const reply = await Reply.create({ thread: thread._id, content: 'A reply', author: thread.author });
+      const voters = await createUsers(PARALLEL);
+      const upvoters = voters.filter((voter, index) => index % 3 !== 0);
+
+      await Promise.all(voters.map(async (voter) => {
+        const type = upvoters.includes(voter) ? 'upvote' : 'downvote';
+        await castVote(Reply, { _id: reply._id }, voter._id, type);
+        await Reply.refreshVoteStats(reply._id);
+      }));
+
+      const saved = await Reply.findById(reply._id);
+      const downvotes = PARALLEL - upvoters.length;
+      assert.equal(saved.votes.length, PARALLEL);
+      assert.equal(saved.upvoteCount, upvoters.length);
+      assert.equal(saved.downvoteCount, downvotes);
+      assert.equal(saved.score, upvoters.length - downvotes);
+    });
+
+    it('applies every toggle once when one user votes repeatedly at once', async () => {
+      const thread = await createThread();
+      const voter = await createUser();
+
+      // Each call either adds or removes the vote, so an even number of them leaves none
+      const results = await Promise.all(Array.from({ length: 4 }, () =>
+        castVote(Thread, { _id: thread._id }, voter._id, 'upvote')));
+
+      assert.equal(results.filter(result => result.current === 'upvote').length, 2);
+      const saved = await Thread.findById(thread._id);
+      assert.equal(saved.votes.length, 0);
+    });
+  });
+
+  describe('reply creation', () => {
+    it('counts every reply when many users reply to a thread at once', async () => {
+      const thread = await createThread();
+      const authors = await createUsers(PARALLEL);
+
+      const responses = await Promise.all(authors.map(author =>
+        createReply(author, thread, { content: `Reply from ${author.username}` })));
+
+      for (const response of responses) {
+        assert.equal(response.status, 201, JSON.stringify(response.body));
+      }
+      const saved = await Thread.findById(thread._id);
+      assert.equal(saved.replyCount, PARALLEL);
+      assert.equal(await Reply.countDocuments({ thread: thread._id }), PARALLEL);
+    });
+
+    it('counts every nested reply when many users answer the same reply at once', async () => {
+      const thread = await createThread();
+      const { body } = await createReply(await createUser(), thread, { content: 'The parent reply' });
+      const parentId = body.reply._id.toString();
+      const authors = await createUsers(PARALLEL);
+
+      const responses = await Promise.all(authors.map(author =>
+        createReply(author, thread, { content: `Answer from ${author.username}`, parentReply: parentId })));
+
+      for (const response of responses) {
+        assert.equal(response.status, 201, JSON.stringify(response.body));
+      }
+      const parent = await Reply.findById(parentId);
+      const children = await Reply.find({ parent: parentId });
+      assert.equal(parent.childCount, PARALLEL);
+      assert.equal(children.length, PARALLEL);
+      for (const child of children) {
+        assert.equal(child.path, parent.childPath);
+        assert.equal(child.depth, 1);
+      }
+      const saved = await Thread.findById(thread._id);
+      assert.equal(saved.replyCount, PARALLEL + 1);
+      assert.equal(await Reply.countDocuments({ thread: thread._id }), PARALLEL + 1);
+    });
+  });
+});
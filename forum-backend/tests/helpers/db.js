@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer, MongoMemoryReplSet } = require('mongodb-memory-server');
+
+let server = null;
+
+// Starts a throwaway MongoDB for one test file and connects mongoose to it.
+// Code that uses transactions needs `{ replSet: true }`.
+const connect = async ({ replSet = false } = {}) => {
+  server = replSet ? await MongoMemoryReplSet.create({ replSet: { count: 1 } }) : await MongoMemoryServer.create();
+  await mongoose.connect(server.getUri());
+  // Unique indexes back several of the checks under test, so build them before any writes
+  await Promise.all(mongoose.modelNames().map(name => mongoose.model(name).init()));
+};
+
+const clear = async () => {
+  const collections = await mongoose.connection.db.collections();
+  await Promise.all(collections.map(collection => collection.deleteMany({})));
+};
+
+const disconnect = async () => {
+  await mongoose.disconnect();
+  await server.stop();
+};
+
+module.exports = {
+  connect,
+  clear,
+  disconnect
+};
@@ -0,0 +1,60 @@
+const User = require('../../models/User');
+const Category = require('../../models/Category');
+const Thread = require('../../models/Threads');
+
+let sequence = 0;
+
+const createUser = (overrides = {}) => {
+  sequence += 1;
+  return User.create({
+    username: `user${sequence}`,
+    email: `user${sequence}@example.com`,
+    password: 'Password123!',
+    emailVerified: true,
+    ...overrides
+  });
+};
+
+const createCategory = (overrides = {}) => {
+  sequence += 1;
+  return Category.create({ name: `Category ${sequence}`, ...overrides });
+};
+
+const createThread = async ({ author, category, ...overrides } = {}) => Thread.create({
+  title: 'A thread under test',
+  content: 'Some content',
+  author: (author || await createUser())._id,
+  category: (category || await createCategory())._id,
+  ...overrides
+});
+
+/**
+ * Calls an Express handler directly, without routing or middleware, and
+ * resolves with the status code and JSON body it sent.
+ */
+const invoke = (handler, req) => new Promise((resolve, reject) => {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    set(name, value) {
+      this.headers[name] = value;
+      return this;
+    },
+    json(body) {
+      resolve({ status: this.statusCode, body });
+      return this;
+    }
+  };
+  Promise.resolve(handler({ params: {}, query: {}, body: {}, ...req }, res)).catch(reject);
+});
+
+module.exports = {
+  createUser,
+  createCategory,
+  createThread,
+  invoke
+};
@@ -0,0 +1,54 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const db = require('./helpers/db');
+const lockoutConfig = require('../config/lockout');
+const { checkLoginAllowed, recordLoginFailure } = require('../utils/loginThrottle');
+
+const SHARED_IP = '203.0.113.7';
+
+const failLogins = async (email, ip, count) => {
+  for (let attempt = 0; attempt < count; attempt++) {
+    await recordLoginFailure({ email, ip });
+  }
+};
+
+describe('login throttle', () => {
+  before(() => db.connect());
+  after(() => db.disconnect());
+  beforeEach(() => db.clear());
+
+  it('does not throttle an IP that several accounts fail from within its free attempts', async () => {
+    // Each account uses up its own free attempts, and together they stay within the IP's
+    const count = Math.floor(lockoutConfig.ipFreeAttempts / lockoutConfig.freeAttempts);
+    const accounts = Array.from({ length: count }, (value, index) => `user${index}@example.com`);
+    for (const email of accounts) {
+      await failLogins(email, SHARED_IP, lockoutConfig.freeAttempts);
+    }
+
+    assert.equal(await checkLoginAllowed({ email: 'someone-else@example.com', ip: SHARED_IP }), null);
+    for (const email of accounts) {
+      assert.equal(await checkLoginAllowed({ email, ip: SHARED_IP }), null);
+    }
+  });
+
+  it('backs off an IP once failures from it pass the IP free attempts', async () => {
+    for (let index = 0; index <= lockoutConfig.ipFreeAttempts; index++) {
+      await failLogins(`user${index}@example.com`, SHARED_IP, 1);
+    }
+
+    const throttled = await checkLoginAllowed({ email: 'someone-else@example.com', ip: SHARED_IP });
+    assert.ok(throttled.retryAfter >= 1);
+    assert.equal(await checkLoginAllowed({ email: 'someone-else@example.com', ip: '198.51.100.1' }), null);
+  });
+
+  it('still backs off an account after its own free attempts, whatever the IP', async () => {
+    const email = 'target@example.com';
+    for (let attempt = 0; attempt <= lockoutConfig.freeAttempts; attempt++) {
+      await failLogins(email, `198.51.100.${attempt + 1}`, 1);
+    }
+
+    const throttled = await checkLoginAllowed({ email, ip: '192.0.2.1' });
+    assert.ok(throttled.retryAfter >= 1);
+  });
+});
@@ -0,0 +1,116 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.APP_URL = 'https://forum.example';
+const { renderMarkdown } = require('../utils/markdown');
+
+// Each of these must come out with no script, event handler or dangerous URL left in it
+const XSS_PAYLOADS = [
+  '<script>alert(1)</script>',
+  '<SCRIPT SRC=https://evil.example/x.js></SCRIPT>',
+  '<img src=x onerror=alert(1)>',
+  '![x](https://evil.example/x.png" onerror="alert(1))',
+  '<svg onload=alert(1)>',
+  '<iframe src="https://evil.example"></iframe>',
+  '<object data="javascript:alert(1)"></object>',
+  '<embed src="javascript:alert(1)">',
+  '<form action="https://evil.example"><input type=submit></form>',
+  '<body onload=alert(1)>',
+  '<details open ontoggle=alert(1)>',
+  '<div style="background:url(javascript:alert(1))">x</div>',
+  '<style>body { background: url(javascript:alert(1)) }</style>',
+  '<math><mtext><table><mglyph><style><img src=x onerror=alert(1)>',
+  '"><img src=x onerror=alert(1)>',
+  '[x](javascript:alert(1))',
+  '[x](JaVaScRiPt:alert(1))',
+  '[x](java&#x09;script:alert(1))',
+  '[x](&#106;avascript:alert(1))',
+  '[x](vbscript:msgbox(1))',
+  '[x](data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==)',
+  '[x](//evil.example)',
+  '<a href="//evil.example">x</a>',
+  '<a href="javascript:alert(1)">x</a>',
+  '<a href="&#106;avascript:alert(1)">x</a>',
+  '<a href="https://evil.example" onclick="alert(1)">x</a>',
+  '<a href="https://evil.example" rel="dofollow" target="_blank">x</a>',
+  '<code class="language-js" onmouseover="alert(1)">x</code>',
+  '```js\n</code><script>alert(1)</script>\n```',
+  '<meta http-equiv="refresh" content="0;url=https://evil.example">',
+  '<base href="https://evil.example/">',
+  '<link rel="stylesheet" href="https://evil.example/x.css">'
+];
+
+const ALLOWED_TAGS = new Set([
+  'p', 'br', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'blockquote', 'pre', 'code', 'em', 'strong', 'del',
+  'ul', 'ol', 'li', 'a',
+  'table', 'thead', 'tbody', 'tr', 'th', 'td'
+]);
+const ALLOWED_ATTRIBUTES = new Set(['href', 'title', 'rel', 'start', 'align', 'class']);
+
+// Text is entity-escaped by the sanitizer, so every literal `<...>` left is a real tag
+const tagsIn = (html) => [...html.matchAll(/<\/?([a-zA-Z][a-zA-Z0-9]*)([^>]*)>/g)]
+  .map(([, name, attributes]) => ({
+    name: name.toLowerCase(),
+    attributes: [...attributes.matchAll(/([^\s=]+)(?:="([^"]*)")?/g)]
+      .map(([, attribute, value]) => ({ name: attribute.toLowerCase(), value: value || '' }))
+  }));
+
+const isSafeHref = (href) => /^(https?:|mailto:)/i.test(href) || (/^[/#?]/.test(href) && !href.startsWith('//'));
+
+describe('renderMarkdown sanitization', () => {
+  for (const payload of XSS_PAYLOADS) {
+    it(`neutralizes ${JSON.stringify(payload)}`, () => {
+      const html = renderMarkdown(payload);
+      for (const tag of tagsIn(html)) {
+        assert.ok(ALLOWED_TAGS.has(tag.name), `<${tag.name}> survived: ${html}`);
+        for (const attribute of tag.attributes) {
+          assert.ok(ALLOWED_ATTRIBUTES.has(attribute.name), `${attribute.name} survived: ${html}`);
+          if (attribute.name === 'href') {
+            assert.ok(isSafeHref(attribute.value), `unsafe href ${attribute.value}: ${html}`);
+          }
+          if (attribute.name === 'class') {
+            assert.match(attribute.value, /^language-[\w-]+$/);
+          }
+          if (attribute.name === 'rel') {
+            assert.equal(attribute.value, 'nofollow ugc noopener noreferrer');
+          }
+        }
+      }
+    });
+  }
+});
+
+describe('renderMarkdown formatting', () => {
+  it('keeps fenced code with its language hint, escaping its content', () => {
+    assert.equal(
+      renderMarkdown('```python\nprint("<b>")\n```'),
+      '<pre><code class="language-python">print("&lt;b&gt;")\n</code></pre>\n'
+    );
+  });
+
+  it('renders tables, quotes and emphasis', () => {
+    const html = renderMarkdown('> quote\n\n| a | b |\n|:-:|--|\n| 1 | 2 |\n\n~~old~~ **bold**');
+    assert.match(html, /<blockquote>\n<p>quote<\/p>\n<\/blockquote>/);
+    assert.match(html, /<th align="center">a<\/th>/);
+    assert.match(html, /<td>2<\/td>/);
+    assert.match(html, /<del>old<\/del> <strong>bold<\/strong>/);
+  });
+
+  it('marks external links nofollow and leaves links to the site alone', () => {
+    assert.equal(
+      renderMarkdown('[docs](https://docs.example/x)'),
+      '<p><a href="https://docs.example/x" rel="nofollow ugc noopener noreferrer">docs</a></p>\n'
+    );
+    assert.equal(renderMarkdown('[home](/threads/1)'), '<p><a href="/threads/1">home</a></p>\n');
+    assert.equal(
+      renderMarkdown('[thread](https://forum.example/threads/1)'),
+      '<p><a href="https://forum.example/threads/1">thread</a></p>\n'
+    );
+  });
+
+  it('renders empty content as an empty string', () => {
+    assert.equal(renderMarkdown(''), '');
+    assert.equal(renderMarkdown(undefined), '');
+  });
+});
@@ -0,0 +1,92 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const db = require('./helpers/db');
+const { createUser, createThread, invoke } = require('./helpers/fixtures');
+const Thread = require('../models/Threads');
+const Reply = require('../models/Reply');
+const User = require('../models/User');
+const ReputationEvent = require('../models/ReputationEvent');
+const { recordReputation } = require('../utils/reputation');
+const { setTransport } = require('../utils/mailer');
+const threadController = require('../controllers/threadController');
+const reputationPoints = require('../config/reputation');
+
+const merge = (user, source, target) => invoke(threadController.merge, {
+  user,
+  params: { id: source._id.toString() },
+  body: { targetThread: target._id.toString(), reason: 'Duplicate' }
+});
+
+// What the answerer's reputation adds up to in the ledger
+const ledgerTotal = async (user) => {
+  const [total] = await ReputationEvent.aggregate([
+    { $match: { user: user._id } },
+    { $group: { _id: null, total: { $sum: '$delta' } } }
+  ]);
+  return total ? total.total : 0;
+};
+
+describe('thread merge', () => {
+  let moderator = null;
+
+  before(async () => {
+    setTransport({ send: async () => {} });
+    await db.connect({ replSet: true });
+  });
+  after(() => db.disconnect());
+  beforeEach(async () => {
+    await db.clear();
+    moderator = await createUser({ role: 'moderator' });
+  });
+
+  it('takes back the accepted-answer reputation of the source thread', async () => {
+    const source = await createThread();
+    const target = await createThread();
+    const answerer = await createUser();
+    const answer = await Reply.create({ thread: source._id, content: 'The answer', author: answerer._id });
+    // Accept the answer the way replyController.accept does
+    await Thread.updateOne({ _id: source._id }, { acceptedReply: answer._id, acceptedAt: new Date(), acceptedBy: source.author });
+    await recordReputation({
+      user: answerer._id,
+      source: 'accepted_answer',
+      delta: reputationPoints.accepted_answer,
+      actor: source.author,
+      thread: source._id,
+      reply: answer._id
+    });
+
+    const response = await merge(moderator, source, target);
+
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    const saved = await Thread.findById(source._id);
+    assert.equal(saved.acceptedReply, null);
+    assert.equal(await ledgerTotal(answerer), 0);
+    assert.equal((await User.findById(answerer._id)).reputation, 0);
+    const reversal = await ReputationEvent.findOne({ user: answerer._id, delta: -reputationPoints.accepted_answer });
+    assert.equal(reversal.source, 'accepted_answer');
+    assert.equal(reversal.reply.toString(), answer._id.toString());
+  });
+
+  it('leaves the ledger alone when the source has no accepted answer', async () => {
+    const source = await createThread();
+    const target = await createThread();
+    const author = await createUser();
+    await Reply.create({ thread: source._id, content: 'A reply', author: author._id });
+
+    const response = await merge(moderator, source, target);
+
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    assert.equal(await ReputationEvent.countDocuments(), 0);
+    assert.equal(await Reply.countDocuments({ thread: target._id }), 1);
+  });
+
+  it('refuses deleted source and target threads', async () => {
+    const live = await createThread();
+    const deleted = await createThread({ isDeleted: true });
+
+    assert.equal((await merge(moderator, deleted, live)).status, 404);
+    assert.equal((await merge(moderator, live, deleted)).status, 404);
+    assert.equal((await Thread.findById(deleted._id)).mergedInto, null);
+  });
+});
@@ -0,0 +1,28 @@
+const ModerationLog = require('../models/ModerationLog');
+
+const pick = (source, fields) => {
+  if (!source) return null;
+  const obj = typeof source.toObject === 'function' ? source.toObject() : source;
+  return fields.reduce((snapshot, field) => {
+    if (obj[field] !== undefined) snapshot[field] = obj[field];
+    return snapshot;
+  }, {});
+};
+
+const recordModerationAction = ({ actor, action, targetType, targetId, thread, reason, before, after }) => {
+  return ModerationLog.create({
+    actor,
+    action,
+    targetType,
+    targetId,
+    thread,
+    reason,
+    before,
+    after
+  });
+};
+
+module.exports = {
+  pick,
+  recordModerationAction
+};
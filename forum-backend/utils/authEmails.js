@@ -0,0 +1,60 @@
+const { sendMail } = require('./mailer');
+const { issueAuthToken } = require('./authTokens');
+const authConfig = require('../config/auth');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const sendVerificationEmail = async (user) => {
+  const token = await issueAuthToken(user._id, 'email_verification', authConfig.emailVerificationTtlHours * HOUR_MS);
+  const link = `${authConfig.appUrl}/verify-email?token=${token}`;
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'Please confirm your email address by opening the link below:',
+      link,
+      '',
+      `The link expires in ${authConfig.emailVerificationTtlHours} hours.`
+    ].join('\n')
+  });
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const token = await issueAuthToken(user._id, 'password_reset', authConfig.passwordResetTtlMinutes * 60 * 1000);
+  const link = `${authConfig.appUrl}/reset-password?token=${token}`;
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'Someone asked to reset the password for your account. If it was you, open the link below:',
+      link,
+      '',
+      `The link expires in ${authConfig.passwordResetTtlMinutes} minutes and can only be used once.`,
+      'If you did not ask for this, you can ignore this email.'
+    ].join('\n')
+  });
+};
+
+const sendLockoutEmail = async (user, { lockedUntil, ip }) => {
+  await sendMail({
+    to: user.email,
+    subject: 'Your account was temporarily locked',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      `After repeated failed sign-in attempts${ip ? ` from ${ip}` : ''}, your account is locked until ${lockedUntil.toISOString()}.`,
+      'If this was not you, consider resetting your password:',
+      `${authConfig.appUrl}/forgot-password`
+    ].join('\n')
+  });
+};
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendLockoutEmail
+};
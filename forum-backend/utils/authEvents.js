@@ -0,0 +1,25 @@
+const EventEmitter = require('events');
+const User = require('../models/User');
+const { sendLockoutEmail } = require('./authEmails');
+
+/**
+ * Hook point for authentication events. Emits:
+ * - `lockout` with { scope, key, user, ip, failures, lockedUntil } when an
+ *   account or IP is locked after too many failed logins
+ *
+ * Listeners run inside the login request, so they must not throw and should
+ * do slow work such as sending mail without awaiting it.
+ */
+const authEvents = new EventEmitter();
+
+// Default listener: tell the account owner their account was locked
+authEvents.on('lockout', ({ scope, user, lockedUntil, ip }) => {
+  if (scope !== 'account' || !user) {
+    return;
+  }
+  User.findById(user)
+    .then(account => account && sendLockoutEmail(account, { lockedUntil, ip }))
+    .catch(error => console.error('Failed to send lockout email:', error));
+});
+
+module.exports = authEvents;
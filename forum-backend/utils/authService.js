@@ -0,0 +1,108 @@
+const User = require('../models/User');
+const { startSession } = require('./session');
+const { issueChallengeToken, verifySecondFactor } = require('./twoFactor');
+const { sendVerificationEmail } = require('./authEmails');
+const { checkLoginAllowed, recordLoginFailure, clearLoginFailures } = require('./loginThrottle');
+
+/**
+ * The one implementation of sign-up and password login, shared by
+ * /api/auth and the deprecated /api/users variants. Failures resolve to
+ * `{ error: { status, body, headers } }` so every caller answers the same way.
+ */
+
+const failure = (status, body, headers) => ({ error: { status, body, headers } });
+
+const throttledFailure = ({ retryAfter, lockedUntil }) => failure(
+  429,
+  {
+    message: lockedUntil
+      ? 'Too many failed login attempts. Sign-in is locked for now.'
+      : 'Too many failed login attempts. Please wait before trying again.',
+    retryAfter,
+    lockedUntil
+  },
+  { 'Retry-After': String(retryAfter) }
+);
+
+const registerAccount = async ({ username, email, password }) => {
+  const existingUser = await User.findOne({
+    $or: [{ email }, { username }]
+  });
+  if (existingUser) {
+    return failure(400, { message: 'User already exists with this email or username' });
+  }
+
+  const user = new User({ username, email, password });
+  await user.save();
+
+  // A mail outage should not block sign-up; the user can ask for another link
+  await sendVerificationEmail(user).catch(error => {
+    console.error('Failed to send verification email:', error);
+  });
+
+  return { user };
+};
+
+// Throttled attempts are refused before the password is even compared. Failures are
+// only cleared once login completes, so a known password cannot reset the 2FA budget.
+const verifyCredentials = async ({ email, password, ip }) => {
+  const throttle = await checkLoginAllowed({ email, ip });
+  if (throttle) {
+    return throttledFailure(throttle);
+  }
+
+  const user = await User.findOne({ email });
+  const isMatch = user ? await user.comparePassword(password) : false;
+  if (!isMatch) {
+    await recordLoginFailure({ email, ip, user: user && user._id });
+    return failure(401, { message: 'Invalid email or password' });
+  }
+
+  const restriction = user.accessRestriction();
+  if (restriction) {
+    return failure(403, restriction);
+  }
+
+  return { user };
+};
+
+// Second-factor codes share the password's failure budget so they cannot be guessed either
+const verifyTwoFactorAttempt = async (user, factors, ip) => {
+  const throttle = await checkLoginAllowed({ email: user.email, ip });
+  if (throttle) {
+    return throttledFailure(throttle);
+  }
+  if (!(await verifySecondFactor(user, factors))) {
+    await recordLoginFailure({ email: user.email, ip, user: user._id });
+    return failure(401, { message: 'Invalid authentication code' });
+  }
+  await clearLoginFailures({ email: user.email });
+  return {};
+};
+
+// After the password check: either a session, or a 2FA challenge to finish at /api/auth/2fa/verify
+const beginLogin = async (user, req, res) => {
+  if (user.twoFactor.enabled) {
+    return {
+      message: 'Two-factor authentication required',
+      twoFactorRequired: true,
+      challengeToken: issueChallengeToken(user._id)
+    };
+  }
+
+  await clearLoginFailures({ email: user.email });
+  const { token, refreshToken } = await startSession(user, req, res);
+  return {
+    message: 'Login successful',
+    token,
+    refreshToken,
+    user
+  };
+};
+
+module.exports = {
+  registerAccount,
+  verifyCredentials,
+  verifyTwoFactorAttempt,
+  beginLogin
+};
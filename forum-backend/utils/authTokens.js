@@ -0,0 +1,28 @@
+const crypto = require('crypto');
+const AuthToken = require('../models/AuthToken');
+const { hashToken } = require('./session');
+
+// Creates a new token for `purpose`, invalidating any still-unused earlier ones
+const issueAuthToken = async (userId, purpose, ttlMs) => {
+  await AuthToken.deleteMany({ user: userId, purpose, usedAt: null });
+  const token = crypto.randomBytes(32).toString('base64url');
+  await AuthToken.create({
+    user: userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+  return token;
+};
+
+// Marks a valid token as used in one atomic step; resolves to null if it is unknown, used or expired
+const consumeAuthToken = (token, purpose) => AuthToken.findOneAndUpdate(
+  { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+  { $set: { usedAt: new Date() } },
+  { new: true }
+);
+
+module.exports = {
+  issueAuthToken,
+  consumeAuthToken
+};
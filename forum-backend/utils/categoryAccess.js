@@ -0,0 +1,110 @@
+const Category = require('../models/Category');
+const { can } = require('./permissions');
+
+const ACCESS_FIELDS = 'ancestors visibility allowedRoles members moderators postingRoles';
+
+// User fields the checks below read: `_id` for `members` and `moderators`, `role` for
+// `allowedRoles` and `postingRoles`, and `twoFactor.enabled` for role permissions.
+// Select these when loading users only to check their access.
+const ACCESS_USER_FIELDS = '_id role twoFactor.enabled';
+
+// Entries may be populated documents, e.g. `moderators` on GET /api/categories/:id
+const includesId = (ids, id) => ids.some(entry => String(entry._id || entry) === id.toString());
+
+// Category managers and the category's own moderators see and post everywhere in it
+const isCategoryStaff = async (user, category) => Boolean(user) && (
+  includesId(category.moderators || [], user._id) || await can(user, 'category.manage')
+);
+
+/**
+ * Whether `user` (possibly null) passes a single category's own visibility rule:
+ * - public: everyone
+ * - members: any signed-in user
+ * - restricted: users whose role is in `allowedRoles`
+ * - invite: users listed in `members`
+ */
+const passesVisibility = async (user, category) => {
+  if (category.visibility === 'public' || !category.visibility) {
+    return true;
+  }
+  if (!user) {
+    return false;
+  }
+  if (category.visibility === 'members') {
+    return true;
+  }
+  if (category.visibility === 'restricted' && category.allowedRoles.includes(user.role)) {
+    return true;
+  }
+  if (category.visibility === 'invite' && includesId(category.members, user._id)) {
+    return true;
+  }
+  return isCategoryStaff(user, category);
+};
+
+// Whether `user` may see a category and its threads; a subcategory is only as visible as every category above it
+const canReadCategory = async (user, category) => {
+  if (!(await passesVisibility(user, category))) {
+    return false;
+  }
+  if (!category.ancestors || category.ancestors.length === 0) {
+    return true;
+  }
+  const ancestors = await Category.find({ _id: { $in: category.ancestors } }).select(ACCESS_FIELDS);
+  for (const ancestor of ancestors) {
+    if (!(await passesVisibility(user, ancestor))) {
+      return false;
+    }
+  }
+  return true;
+};
+
+// Posting needs read access, and the user's role in `postingRoles` when that list is set
+const canPostInCategory = async (user, category) => {
+  if (!user || !(await canReadCategory(user, category))) {
+    return false;
+  }
+  if (!category.postingRoles || category.postingRoles.length === 0 || category.postingRoles.includes(user.role)) {
+    return true;
+  }
+  return isCategoryStaff(user, category);
+};
+
+// Loads a category with the fields the checks above need
+const findCategoryForAccess = (categoryId) => Category.findById(categoryId).select(`name color ${ACCESS_FIELDS}`);
+
+// Ids of every category `user` may not read, including subcategories of those, for excluding their threads from queries
+const hiddenCategoryIds = async (user) => {
+  const restricted = await Category.find({ visibility: { $nin: ['public', null] } }).select(ACCESS_FIELDS);
+  const hidden = [];
+  for (const category of restricted) {
+    if (!(await passesVisibility(user, category))) {
+      hidden.push(category._id);
+    }
+  }
+  if (hidden.length === 0) {
+    return hidden;
+  }
+  const below = await Category.find({ ancestors: { $in: hidden } }).distinct('_id');
+  return hidden.concat(below.filter(id => !includesId(hidden, id)));
+};
+
+// Adds a hidden-category exclusion to a thread query, keeping any category filter already on it
+const excludeCategories = (query, hiddenIds) => {
+  if (hiddenIds.length === 0) {
+    return query;
+  }
+  query.category = query.category
+    ? { $eq: query.category, $nin: hiddenIds }
+    : { $nin: hiddenIds };
+  return query;
+};
+
+module.exports = {
+  ACCESS_USER_FIELDS,
+  canReadCategory,
+  canPostInCategory,
+  findCategoryForAccess,
+  hiddenCategoryIds,
+  excludeCategories
+};
@@ -0,0 +1,71 @@
+const Category = require('../models/Category');
+const Thread = require('../models/Threads');
+const Reply = require('../models/Reply');
+
+// Cheap path for new posts: bump the counters and mark this as the latest activity
+const recordCategoryActivity = (categoryId, { threads = 0, replies = 0, thread, user, at = new Date() }) => Category.updateOne(
+  { _id: categoryId },
+  {
+    $inc: { threadCount: threads, replyCount: replies },
+    $set: { lastActivityAt: at, lastThread: thread, lastPoster: user }
+  }
+);
+
+/**
+ * Recounts a category from scratch. Used after moves, merges, deletions and
+ * restores, where adjusting the counters incrementally would be error-prone.
+ */
+const refreshCategoryStats = async (categoryId) => {
+  const threadIds = await Thread.find({ category: categoryId, isDeleted: { $ne: true } }).distinct('_id');
+  const replyQuery = { thread: { $in: threadIds }, isDeleted: { $ne: true } };
+  const replyCount = await Reply.countDocuments(replyQuery);
+
+  const latestThread = await Thread.findOne({ _id: { $in: threadIds } })
+    .sort({ createdAt: -1 })
+    .select('author createdAt');
+  const latestReply = await Reply.findOne(replyQuery)
+    .sort({ createdAt: -1 })
+    .select('thread author createdAt');
+
+  let last = null;
+  if (latestThread) {
+    last = { at: latestThread.createdAt, thread: latestThread._id, user: latestThread.author };
+  }
+  if (latestReply && (!last || latestReply.createdAt > last.at)) {
+    last = { at: latestReply.createdAt, thread: latestReply.thread, user: latestReply.author };
+  }
+
+  await Category.updateOne(
+    { _id: categoryId },
+    {
+      $set: {
+        threadCount: threadIds.length,
+        replyCount,
+        lastActivityAt: last ? last.at : null,
+        lastThread: last ? last.thread : null,
+        lastPoster: last ? last.user : null
+      }
+    }
+  );
+};
+
+// Refreshes each distinct category once; accepts ids or nulls
+const refreshCategories = async (...categoryIds) => {
+  const unique = [...new Set(categoryIds.filter(Boolean).map(id => id.toString()))];
+  for (const categoryId of unique) {
+    await refreshCategoryStats(categoryId);
+  }
+};
+
+const recalculateCategoryStats = async () => {
+  const categoryIds = await Category.find().distinct('_id');
+  await refreshCategories(...categoryIds);
+  return { categories: categoryIds.length };
+};
+
+module.exports = {
+  recordCategoryActivity,
+  refreshCategoryStats,
+  refreshCategories,
+  recalculateCategoryStats
+};
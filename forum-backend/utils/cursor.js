@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Opaque cursors for keyset pagination over (field, _id), so pages stay stable
+// while new documents are being written.
+
+const DATE_FIELDS = ['createdAt', 'updatedAt'];
+
+const encodeCursor = (doc, field) => {
+  const value = doc[field] instanceof Date ? doc[field].toISOString() : doc[field];
+  return Buffer.from(JSON.stringify({ v: value, id: doc._id.toString() })).toString('base64url');
+};
+
+const decodeCursor = (cursor, field) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!mongoose.Types.ObjectId.isValid(id) || v === undefined) {
+      return null;
+    }
+    return { value: DATE_FIELDS.includes(field) ? new Date(v) : v, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Query matching documents that come after the cursor in the given sort direction
+const afterCursor = ({ value, id }, field, direction) => {
+  const op = direction < 0 ? '$lt' : '$gt';
+  return {
+    $or: [
+      { [field]: { [op]: value } },
+      { [field]: value, _id: { [op]: id } }
+    ]
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  afterCursor
+};
@@ -0,0 +1,67 @@
+const { sendMail } = require('./mailer');
+const { appUrl } = require('../config/auth');
+const { actorsShown } = require('../config/notifications');
+
+// "alice", "alice and bob", or "alice, bob and 3 others"
+const describeActors = (actors) => {
+  const names = actors.slice(-actorsShown).reverse().map(actor => (actor && actor.username) || 'Someone');
+  const others = actors.length - names.length;
+  if (names.length === 0) {
+    return 'Someone';
+  }
+  if (others > 0) {
+    return `${names.join(', ')} and ${others} other${others === 1 ? '' : 's'}`;
+  }
+  return names.length === 1 ? names[0] : `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+};
+
+// One line of digest text per notification; expects `actors` and `thread` populated
+const describeNotification = (notification) => {
+  const who = describeActors(notification.actors);
+  const title = notification.thread ? `"${notification.thread.title}"` : 'a deleted thread';
+  const data = notification.data || {};
+  switch (notification.type) {
+    case 'reply':
+      return `${who} replied to ${title}`;
+    case 'nested_reply':
+      return `${who} replied to your reply in ${title}`;
+    case 'mention':
+      return `${who} mentioned you in ${title}`;
+    case 'vote_milestone':
+      return `Your post in ${title} reached ${data.milestone} votes`;
+    case 'moderation':
+      return `A moderator applied ${data.action} to your post in ${title}`;
+    case 'accepted_answer':
+      return `${who} accepted your answer in ${title}`;
+    case 'watch':
+      return data.source === 'new_thread' ? `${who} started ${title}` : `${who} posted in ${title}`;
+    default:
+      return `New activity in ${title}`;
+  }
+};
+
+const sendDigestEmail = async (user, notifications, { frequency, total }) => {
+  const lines = notifications.map(notification => `- ${describeNotification(notification)}`);
+  if (total > notifications.length) {
+    lines.push(`- ...and ${total - notifications.length} more`);
+  }
+  await sendMail({
+    to: user.email,
+    subject: `Your ${frequency} forum digest: ${total} unread notification${total === 1 ? '' : 's'}`,
+    text: [
+      `Hi ${user.username},`,
+      '',
+      `Here is what happened since your last ${frequency} digest:`,
+      '',
+      ...lines,
+      '',
+      `Read them at ${appUrl}/notifications`,
+      `To change how often you get this email, visit ${appUrl}/settings/notifications`
+    ].join('\n')
+  });
+};
+
+module.exports = {
+  describeNotification,
+  sendDigestEmail
+};
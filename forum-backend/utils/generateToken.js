@@ -1,12 +1,14 @@
 const jwt = require('jsonwebtoken');
+const { accessTokenTtlMinutes } = require('../config/auth');
 
 const resolveSecret = () => process.env.JWT_SECRET || process.env.JWT_SECRET_KEY;
 
-const generateToken = (userId, res) => {
+// Issues a short-lived access token bound to a server-side session
+const generateToken = (userId, res, sessionId) => {
   const token = jwt.sign(
-    { userId },
+    { userId, sid: sessionId },
     resolveSecret(),
-    { expiresIn: '7d' }
+    { expiresIn: `${accessTokenTtlMinutes}m` }
   );
 
   if (res && typeof res.cookie === 'function') {
@@ -14,7 +16,7 @@ const generateToken = (userId, res) => {
       httpOnly: true,
       secure: process.env.NODE_ENV === 'production',
       sameSite: 'strict',
-      maxAge: 7 * 24 * 60 * 60 * 1000
+      maxAge: accessTokenTtlMinutes * 60 * 1000
     });
   }
 
@@ -22,5 +24,3 @@ const generateToken = (userId, res) => {
 };
 
 module.exports = generateToken;
-
-
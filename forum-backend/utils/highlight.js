@@ -0,0 +1,40 @@
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Returns an HTML-escaped excerpt of `text` around the first match of any of
+ * `words`, with every match wrapped in <mark>. Words match as prefixes so
+ * stemmed hits ("run" for "running") still light up.
+ */
+const highlight = (text, words, radius = 80) => {
+  const source = String(text || '');
+  const cleaned = words.map(word => word.trim()).filter(Boolean);
+  if (cleaned.length === 0) {
+    return escapeHtml(source.slice(0, radius * 2));
+  }
+
+  const pattern = new RegExp(`(${cleaned.map(escapeRegExp).join('|')})`, 'gi');
+  const first = source.search(pattern);
+  const start = first > radius ? first - radius : 0;
+  const end = Math.min(source.length, (first === -1 ? 0 : first) + radius * 2);
+
+  const excerpt = source.slice(start, end);
+  const marked = excerpt
+    .split(pattern)
+    .map((part, index) => (index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+
+  return `${start > 0 ? '…' : ''}${marked}${end < source.length ? '…' : ''}`;
+};
+
+module.exports = {
+  escapeHtml,
+  escapeRegExp,
+  highlight
+};
@@ -0,0 +1,136 @@
+const LoginThrottle = require('../models/LoginThrottle');
+const authEvents = require('./authEvents');
+const lockoutConfig = require('../config/lockout');
+
+const MINUTE_MS = 60 * 1000;
+
+const SCOPE_LIMITS = {
+  account: lockoutConfig.accountMaxFailures,
+  ip: lockoutConfig.ipMaxFailures
+};
+
+const SCOPE_FREE_ATTEMPTS = {
+  account: lockoutConfig.freeAttempts,
+  ip: lockoutConfig.ipFreeAttempts
+};
+
+const throttleKeys = ({ email, ip }) => {
+  const keys = [{ scope: 'account', key: String(email).toLowerCase() }];
+  if (ip) {
+    keys.push({ scope: 'ip', key: ip });
+  }
+  return keys;
+};
+
+const backoffSeconds = (scope, failures) => {
+  const over = failures - SCOPE_FREE_ATTEMPTS[scope];
+  if (over <= 0) {
+    return 0;
+  }
+  return Math.min(lockoutConfig.baseDelaySeconds * 2 ** (over - 1), lockoutConfig.maxDelaySeconds);
+};
+
+/**
+ * Resolves to null when a login attempt for this email and IP may be checked,
+ * or to { retryAfter (seconds), lockedUntil } while either is backing off or locked.
+ */
+const checkLoginAllowed = async ({ email, ip }) => {
+  const now = new Date();
+  const records = await LoginThrottle.find({ $or: throttleKeys({ email, ip }) });
+  let blockedUntil = null;
+  let lockedUntil = null;
+  for (const record of records) {
+    for (const until of [record.retryAfter, record.lockedUntil]) {
+      if (until && until > now && (!blockedUntil || until > blockedUntil)) {
+        blockedUntil = until;
+      }
+    }
+    if (record.lockedUntil && record.lockedUntil > now && (!lockedUntil || record.lockedUntil > lockedUntil)) {
+      lockedUntil = record.lockedUntil;
+    }
+  }
+  if (!blockedUntil) {
+    return null;
+  }
+  return {
+    retryAfter: Math.ceil((blockedUntil - now) / 1000),
+    lockedUntil
+  };
+};
+
+const recordScopeFailure = async ({ scope, key }, { user, ip, now }) => {
+  const windowEnd = new Date(now.getTime() + lockoutConfig.failureWindowMinutes * MINUTE_MS);
+  // Failures older than the window start counting again from one
+  const record = await LoginThrottle.findOneAndUpdate(
+    { scope, key },
+    [{
+      $set: {
+        failures: {
+          $cond: [{ $gt: ['$expiresAt', now] }, { $add: [{ $ifNull: ['$failures', 0] }, 1] }, 1]
+        },
+        user: { $ifNull: [user || null, '$user'] },
+        lastFailureAt: now,
+        lastIp: ip || null,
+        lockedUntil: { $cond: [{ $gt: ['$lockedUntil', now] }, '$lockedUntil', null] },
+        lockCount: { $ifNull: ['$lockCount', 0] },
+        expiresAt: windowEnd
+      }
+    }],
+    { upsert: true, new: true }
+  );
+
+  if (record.failures >= SCOPE_LIMITS[scope]) {
+    const lockedUntil = new Date(now.getTime() + lockoutConfig.lockoutMinutes * MINUTE_MS);
+    // Only the request that crosses the limit locks, so the hook fires once per lockout
+    const { modifiedCount } = await LoginThrottle.updateOne(
+      { _id: record._id, failures: record.failures, lockedUntil: null },
+      {
+        $set: {
+          lockedUntil,
+          retryAfter: null,
+          failures: 0,
+          expiresAt: new Date(lockedUntil.getTime() + lockoutConfig.failureWindowMinutes * MINUTE_MS)
+        },
+        $inc: { lockCount: 1 }
+      }
+    );
+    if (modifiedCount === 1) {
+      authEvents.emit('lockout', {
+        scope,
+        key,
+        user: record.user,
+        ip,
+        failures: record.failures,
+        lockedUntil
+      });
+    }
+    return;
+  }
+
+  const delay = backoffSeconds(scope, record.failures);
+  if (delay > 0) {
+    await LoginThrottle.updateOne(
+      { _id: record._id },
+      { $set: { retryAfter: new Date(now.getTime() + delay * 1000) } }
+    );
+  }
+};
+
+const recordLoginFailure = async ({ email, ip, user }) => {
+  const now = new Date();
+  for (const entry of throttleKeys({ email, ip })) {
+    await recordScopeFailure(entry, { user: entry.scope === 'account' ? user : null, ip, now });
+  }
+};
+
+// A successful login clears the account's failures; the IP's are left to expire
+const clearLoginFailures = ({ email }) => LoginThrottle.deleteOne({
+  scope: 'account',
+  key: String(email).toLowerCase()
+});
+
+module.exports = {
+  checkLoginAllowed,
+  recordLoginFailure,
+  clearLoginFailures
+};
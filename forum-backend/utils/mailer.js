@@ -0,0 +1,70 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const mailConfig = require('../config/mail');
+
+// A transport is any object with `send(message)` returning a promise.
+// Messages look like { from, to, subject, text }.
+
+const consoleTransport = () => ({
+  send: async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  }
+});
+
+// Writes each message to its own JSON file, so tests and local setups can read them back
+const fileTransport = (dir = mailConfig.dir) => ({
+  send: async (message) => {
+    await fs.mkdir(dir, { recursive: true });
+    const name = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+    await fs.writeFile(path.join(dir, name), JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+  }
+});
+
+const smtpTransport = (url = mailConfig.smtpUrl) => {
+  // Only needed in deployments that actually send mail
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport(url);
+  return {
+    send: (message) => transporter.sendMail(message)
+  };
+};
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport,
+  smtp: smtpTransport
+};
+
+let activeTransport = null;
+
+const getTransport = () => {
+  if (!activeTransport) {
+    const create = transports[mailConfig.transport];
+    if (!create) {
+      throw new Error(`Unknown mail transport: ${mailConfig.transport}`);
+    }
+    activeTransport = create();
+  }
+  return activeTransport;
+};
+
+// Swaps the transport at runtime, e.g. for tests or a custom provider
+const setTransport = (transport) => {
+  activeTransport = transport;
+};
+
+const sendMail = ({ to, subject, text }) => getTransport().send({
+  from: mailConfig.from,
+  to,
+  subject,
+  text
+});
+
+module.exports = {
+  sendMail,
+  setTransport,
+  consoleTransport,
+  fileTransport,
+  smtpTransport
+};
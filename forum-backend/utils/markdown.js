@@ -0,0 +1,55 @@
+const { Marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+const { appUrl } = require('../config/auth');
+
+// GitHub-flavoured Markdown: fenced code with language hints, tables, strikethrough, autolinks
+const markdown = new Marked({ gfm: true });
+
+const SITE_ORIGIN = new URL(appUrl).origin;
+const EXTERNAL_REL = 'nofollow ugc noopener noreferrer';
+
+const isExternal = (href) => {
+  try {
+    return new URL(href, SITE_ORIGIN).origin !== SITE_ORIGIN;
+  } catch (error) {
+    return true;
+  }
+};
+
+// Strict allow-list: anything not listed here, raw HTML included, is dropped from the output
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    'p', 'br', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'blockquote', 'pre', 'code', 'em', 'strong', 'del',
+    'ul', 'ol', 'li', 'a',
+    'table', 'thead', 'tbody', 'tr', 'th', 'td'
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'rel'],
+    ol: ['start'],
+    th: [{ name: 'align', multiple: false, values: ['left', 'center', 'right'] }],
+    td: [{ name: 'align', multiple: false, values: ['left', 'center', 'right'] }]
+  },
+  allowedClasses: {
+    code: ['language-*']
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowProtocolRelative: false,
+  transformTags: {
+    // Authors cannot set rel themselves; links off the site never pass on ranking or referrer
+    a: (tagName, attribs) => {
+      const { rel, ...rest } = attribs;
+      return {
+        tagName,
+        attribs: rest.href && isExternal(rest.href) ? { ...rest, rel: EXTERNAL_REL } : rest
+      };
+    }
+  }
+};
+
+// Renders Markdown source to HTML that is safe to insert into a page as-is
+const renderMarkdown = (source) => sanitizeHtml(markdown.parse(source || ''), SANITIZE_OPTIONS);
+
+module.exports = {
+  renderMarkdown
+};
@@ -0,0 +1,68 @@
+const User = require('../models/User');
+const { maxMentionsPerPost } = require('../config/mentions');
+const { ACCESS_USER_FIELDS, canReadCategory } = require('./categoryAccess');
+const { notify } = require('./notifications');
+
+// "@name" at the start of the text or after a non-word character, so e-mail addresses don't match
+const MENTION_PATTERN = /(^|[^\w@])@([\w.-]{3,30})/g;
+
+// Distinct mentioned usernames in order of first appearance, capped per post
+const extractMentions = (content) => {
+  const names = [];
+  for (const match of (content || '').matchAll(MENTION_PATTERN)) {
+    // "@alice." or "@alice-" at the end of a sentence still mentions alice
+    const name = match[2].replace(/[.-]+$/, '');
+    if (name.length >= 3 && !names.includes(name)) {
+      names.push(name);
+      if (names.length === maxMentionsPerPost) {
+        break;
+      }
+    }
+  }
+  return names;
+};
+
+// The `mentions` to store on a post: mentioned names that belong to active accounts
+const resolveMentions = async (content) => {
+  const names = extractMentions(content);
+  if (names.length === 0) {
+    return [];
+  }
+  const users = await User.find({ username: { $in: names }, isActive: true }).select('username');
+  const byName = new Map(users.map(user => [user.username, user]));
+  return names
+    .filter(name => byName.has(name))
+    .map(name => ({ user: byName.get(name)._id, username: name }));
+};
+
+/**
+ * Notifies mentioned users who can read the post's category. A user is only
+ * notified once per post, so editing a post never re-notifies anyone.
+ */
+const notifyMentions = async ({ mentions, actor, category, thread, reply }) => {
+  if (mentions.length === 0) {
+    return;
+  }
+  const users = await User.find({ _id: { $in: mentions.map(mention => mention.user) } })
+    .select(ACCESS_USER_FIELDS);
+  for (const user of users) {
+    if (category && !(await canReadCategory(user, category))) {
+      continue;
+    }
+    await notify({
+      recipient: user._id,
+      type: 'mention',
+      actor,
+      groupKey: `mention:${reply || thread}`,
+      once: true,
+      thread,
+      reply
+    });
+  }
+};
+
+module.exports = {
+  extractMentions,
+  resolveMentions,
+  notifyMentions
+};
@@ -0,0 +1,170 @@
+const Notification = require('../models/Notification');
+const Subscription = require('../models/Subscription');
+const User = require('../models/User');
+const { voteMilestones, actorsShown } = require('../config/notifications');
+const { publish, userChannel } = require('./realtime');
+
+const DUPLICATE_KEY = 11000;
+
+const wantsNotification = async (recipient, type) => {
+  const user = await User.findById(recipient).select('isActive notificationPreferences');
+  if (!user || !user.isActive) {
+    return false;
+  }
+  return !user.notificationPreferences || user.notificationPreferences[type] !== false;
+};
+
+// A muted thread silences everything about it except moderator actions
+const isThreadMuted = async (recipient, type, thread) => {
+  if (!thread || type === 'moderation') {
+    return false;
+  }
+  return Boolean(await Subscription.exists({ user: recipient, targetType: 'thread', target: thread, level: 'muted' }));
+};
+
+// Streams a new or updated notification to the recipient's open event streams
+const pushed = (notification) => {
+  if (notification) {
+    publish(userChannel(notification.recipient), 'notification', presentNotification(notification));
+  }
+  return notification;
+};
+
+const definedFields = (fields) => Object.fromEntries(
+  Object.entries(fields).filter(([, value]) => value !== undefined)
+);
+
+/**
+ * Notifies `recipient` of an event by `actor`. An event with a `groupKey`
+ * folds into the recipient's unread notification for that key when there is
+ * one. With `once`, a key is only ever notified once, read or not. Nobody is
+ * notified of their own actions, of types they have turned off, or of
+ * anything but moderation in threads they have muted.
+ *
+ * Failures are logged rather than thrown so a notification can never fail
+ * the request that caused it.
+ */
+const notify = async ({ recipient, type, actor, groupKey = null, once = false, thread, reply, data }) => {
+  try {
+    if (!recipient || (actor && recipient.toString() === actor.toString())) {
+      return null;
+    }
+    if (!(await wantsNotification(recipient, type)) || await isThreadMuted(recipient, type, thread)) {
+      return null;
+    }
+
+    const actors = actor ? [actor] : [];
+    if (!groupKey) {
+      return pushed(await Notification.create({ recipient, type, thread, reply, data, actors }));
+    }
+    if (once) {
+      const { upsertedId } = await Notification.updateOne(
+        { recipient, groupKey },
+        { $setOnInsert: definedFields({ type, thread, reply, data, actors }) },
+        { upsert: true }
+      );
+      return upsertedId ? pushed(await Notification.findById(upsertedId)) : null;
+    }
+
+    const filter = { recipient, groupKey, isRead: false };
+    const update = {
+      $setOnInsert: { type },
+      $set: definedFields({ thread, reply, data }),
+      $inc: { count: 1 }
+    };
+    if (actor) {
+      update.$addToSet = { actors: actor };
+    }
+    try {
+      return pushed(await Notification.findOneAndUpdate(filter, update, { upsert: true, new: true }));
+    } catch (error) {
+      // Lost an insert race with a concurrent event: fold into the winner
+      if (error.code !== DUPLICATE_KEY) {
+        throw error;
+      }
+      return pushed(await Notification.findOneAndUpdate(filter, update, { new: true }));
+    }
+  } catch (error) {
+    if (error.code !== DUPLICATE_KEY) {
+      console.error('Failed to record notification:', error);
+    }
+    return null;
+  }
+};
+
+// Tells the thread's author about a new reply, and the parent reply's author about a nested one
+const notifyReply = async (reply, thread, parent) => {
+  if (parent) {
+    await notify({
+      recipient: parent.author,
+      type: 'nested_reply',
+      actor: reply.author,
+      groupKey: `nested_reply:${parent._id}`,
+      thread: thread._id,
+      reply: reply._id
+    });
+    if (parent.author.toString() === thread.author.toString()) {
+      return;
+    }
+  }
+  await notify({
+    recipient: thread.author,
+    type: 'reply',
+    actor: reply.author,
+    groupKey: `reply:${thread._id}`,
+    thread: thread._id,
+    reply: reply._id
+  });
+};
+
+// Called after an upvote; notifies the author when the vote count lands on a milestone
+const notifyVoteMilestone = async ({ author, actor, voteCount, thread, reply }) => {
+  if (!voteMilestones.includes(voteCount)) {
+    return;
+  }
+  await notify({
+    recipient: author,
+    type: 'vote_milestone',
+    actor,
+    groupKey: `vote_milestone:${reply || thread}:${voteCount}`,
+    once: true,
+    thread,
+    reply,
+    data: { milestone: voteCount }
+  });
+};
+
+// Tells an author that a moderator acted on their content
+const notifyModeration = ({ recipient, actor, action, reason, thread, reply }) => notify({
+  recipient,
+  type: 'moderation',
+  actor,
+  thread,
+  reply,
+  data: definedFields({ action, reason })
+});
+
+const notifyAcceptedAnswer = (reply, thread, actor) => notify({
+  recipient: reply.author,
+  type: 'accepted_answer',
+  actor,
+  thread: thread._id,
+  reply: reply._id
+});
+
+// Most recent actors first, capped for display, plus how many there were in total
+const presentNotification = (notification) => {
+  const json = notification.toJSON();
+  json.actorCount = json.actors.length;
+  json.actors = json.actors.slice(-actorsShown).reverse();
+  return json;
+};
+
+module.exports = {
+  notify,
+  notifyReply,
+  notifyVoteMilestone,
+  notifyModeration,
+  notifyAcceptedAnswer,
+  presentNotification
+};
@@ -0,0 +1,90 @@
+const Category = require('../models/Category');
+const Thread = require('../models/Threads');
+const permissionConfig = require('../config/permissions');
+const { requireTwoFactorForStaff } = require('../config/auth');
+
+const ROLE_PERMISSIONS = Object.fromEntries(
+  Object.entries(permissionConfig.roles).map(([role, permissions]) => [role, new Set(permissions)])
+);
+const CATEGORY_MODERATOR_PERMISSIONS = new Set(permissionConfig.categoryModerator);
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+// Under the staff 2FA policy, staff hold only member permissions until they enable 2FA
+const staffTwoFactorMissing = (user) => requireTwoFactorForStaff && !user.twoFactor.enabled;
+
+const rolePermissions = (user) => {
+  if (staffTwoFactorMissing(user)) {
+    return ROLE_PERMISSIONS.user;
+  }
+  return ROLE_PERMISSIONS[user.role] || ROLE_PERMISSIONS.user;
+};
+
+const grants = (permissions, action, isOwner) => permissions.has(action)
+  || permissions.has(`${action}.any`)
+  || (isOwner && permissions.has(`${action}.own`));
+
+// Threads carry their category; replies are resolved through their thread
+const categoryOf = async (resource) => {
+  if (resource.category) {
+    return idOf(resource.category);
+  }
+  if (resource.thread) {
+    const thread = await Thread.findById(idOf(resource.thread)).select('category');
+    return thread && thread.category;
+  }
+  return null;
+};
+
+/**
+ * Whether `user` may perform `action`, optionally on `resource`: a thread,
+ * a reply, or any object with `author` and `category`. Passing `resource`
+ * lets ".own" permissions and per-category moderator assignments apply.
+ */
+const can = async (user, action, resource) => {
+  if (!user) {
+    return false;
+  }
+  const isOwner = Boolean(resource && resource.author && idOf(resource.author).toString() === user._id.toString());
+  if (grants(rolePermissions(user), action, isOwner)) {
+    return true;
+  }
+  if (!resource || !grants(CATEGORY_MODERATOR_PERMISSIONS, action, false) || staffTwoFactorMissing(user)) {
+    return false;
+  }
+  const category = await categoryOf(resource);
+  return Boolean(category && await Category.exists({ _id: category, moderators: user._id }));
+};
+
+// Sends the 403 for a failed check, pointing staff at 2FA when that is the reason
+const sendForbidden = (res, user) => {
+  if (user && staffTwoFactorMissing(user) && user.role !== 'user') {
+    return res.status(403).json({
+      message: 'Two-factor authentication must be enabled for your role',
+      twoFactorSetupRequired: true
+    });
+  }
+  return res.status(403).json({ message: 'Not authorized' });
+};
+
+// Effective permissions for the UI: role-wide ones plus those held per category
+const permissionsFor = async (user) => {
+  const categories = staffTwoFactorMissing(user)
+    ? []
+    : await Category.find({ moderators: user._id }).select('name color');
+  return {
+    role: user.role,
+    permissions: [...rolePermissions(user)],
+    categories: categories.map(category => ({
+      category,
+      permissions: [...CATEGORY_MODERATOR_PERMISSIONS]
+    })),
+    twoFactorSetupRequired: staffTwoFactorMissing(user) && user.role !== 'user'
+  };
+};
+
+module.exports = {
+  can,
+  sendForbidden,
+  permissionsFor
+};
@@ -0,0 +1,52 @@
+const RateLimitHit = require('../models/RateLimitHit');
+
+/**
+ * express-rate-limit store backed by MongoDB so limits hold across instances.
+ * Each limiter needs its own store; `prefix` keeps their keys apart.
+ */
+const createMongoStore = (prefix) => {
+  let windowMs;
+
+  return {
+    // Counts are shared, so express-rate-limit must not treat them as per-process
+    localKeys: false,
+    prefix,
+
+    init(options) {
+      windowMs = options.windowMs;
+    },
+
+    async increment(key) {
+      const now = new Date();
+      // A fixed window: the first hit after resetAt starts a new one
+      const record = await RateLimitHit.findOneAndUpdate(
+        { key: `${prefix}${key}` },
+        [{
+          $set: {
+            hits: {
+              $cond: [{ $gt: ['$resetAt', now] }, { $add: ['$hits', 1] }, 1]
+            },
+            resetAt: {
+              $cond: [{ $gt: ['$resetAt', now] }, '$resetAt', new Date(now.getTime() + windowMs)]
+            }
+          }
+        }],
+        { upsert: true, new: true }
+      );
+      return { totalHits: record.hits, resetTime: record.resetAt };
+    },
+
+    async decrement(key) {
+      await RateLimitHit.updateOne(
+        { key: `${prefix}${key}`, hits: { $gt: 0 } },
+        { $inc: { hits: -1 } }
+      );
+    },
+
+    async resetKey(key) {
+      await RateLimitHit.deleteOne({ key: `${prefix}${key}` });
+    }
+  };
+};
+
+module.exports = { createMongoStore };
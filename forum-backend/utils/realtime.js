@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const { heartbeatSeconds, sessionCheckSeconds } = require('../config/realtime');
+
+// In-process hub for Server-Sent Event streams. Each connected client listens
+// on a set of channels; controllers publish events to channels as things change.
+// State lives in this process only, so every client must reach the same instance.
+
+const threadChannel = (id) => `thread:${id}`;
+const categoryChannel = (id) => `category:${id}`;
+const userChannel = (id) => `user:${id}`;
+
+const clients = new Set();
+const channels = new Map();
+
+let heartbeatTimer = null;
+let lastSessionCheck = Date.now();
+
+const send = (client, event, data) => {
+  client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const publish = (channel, event, data) => {
+  const listeners = channels.get(channel.toString());
+  if (!listeners) {
+    return;
+  }
+  for (const client of listeners) {
+    send(client, event, data);
+  }
+};
+
+// "N people viewing": signed-in users count once however many tabs they have open
+// Publishes on a thread's channel; every thread event carries the thread's id
+const publishToThread = (threadId, event, data = {}) => {
+  publish(threadChannel(threadId), event, { thread: threadId.toString(), ...data });
+};
+
+const viewerCount = (threadId) => {
+  const listeners = channels.get(threadChannel(threadId)) || new Set();
+  return new Set([...listeners].map(client => client.key)).size;
+};
+
+const publishPresence = (client) => {
+  for (const channel of client.channels) {
+    if (channel.startsWith('thread:')) {
+      const threadId = channel.slice('thread:'.length);
+      publish(channel, 'presence', { thread: threadId, viewers: viewerCount(threadId) });
+    }
+  }
+};
+
+// Streams held by one account, or by one IP for anonymous visitors
+const connectionCount = ({ user, ip }) => [...clients]
+  .filter(client => (user ? client.user && client.user._id.equals(user._id) : !client.user && client.ip === ip))
+  .length;
+
+/**
+ * Registers an open event stream on `res` listening on `channelNames`,
+ * and removes it again when the client goes away. `authorize(channel)`
+ * resolves whether the client may still listen; see recheckAccess.
+ */
+const connect = ({ req, res, user, sessionId, channelNames, authorize }) => {
+  const id = crypto.randomUUID();
+  const client = {
+    id,
+    res,
+    user,
+    sessionId,
+    ip: req.ip,
+    key: user ? user._id.toString() : id,
+    channels: new Set(channelNames),
+    authorize
+  };
+  clients.add(client);
+  for (const channel of client.channels) {
+    if (!channels.has(channel)) {
+      channels.set(channel, new Set());
+    }
+    channels.get(channel).add(client);
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop nginx and similar proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  send(client, 'ready', { connection: id, channels: [...client.channels] });
+  publishPresence(client);
+
+  req.on('close', () => disconnect(client));
+  return client;
+};
+
+const disconnect = (client) => {
+  if (!clients.delete(client)) {
+    return;
+  }
+  for (const channel of client.channels) {
+    const listeners = channels.get(channel);
+    listeners.delete(client);
+    if (listeners.size === 0) {
+      channels.delete(channel);
+    }
+  }
+  publishPresence(client);
+  client.res.end();
+};
+
+// Stops one client listening on one channel; a client left with no channels is closed
+const leave = (client, channel) => {
+  client.channels.delete(channel);
+  const listeners = channels.get(channel);
+  listeners.delete(client);
+  if (listeners.size === 0) {
+    channels.delete(channel);
+  }
+  send(client, 'channel.closed', { channel });
+  if (channel.startsWith('thread:')) {
+    const threadId = channel.slice('thread:'.length);
+    publish(channel, 'presence', { thread: threadId, viewers: viewerCount(threadId) });
+  }
+  if (client.channels.size === 0) {
+    disconnect(client);
+  }
+};
+
+/**
+ * Re-runs each listener's access check on `channelNames` (every open channel
+ * when omitted) and drops listeners that may no longer follow them. Called
+ * after a thread is hidden or moved, or a category's visibility changes.
+ * Never throws; failures are logged.
+ */
+const recheckAccess = async (channelNames = [...channels.keys()]) => {
+  try {
+    for (const channel of channelNames.map(String)) {
+      for (const client of [...(channels.get(channel) || [])]) {
+        // The client may have gone, or been dropped by an overlapping recheck, while this one awaited
+        if (client.authorize && !(await client.authorize(channel)) && clients.has(client) && client.channels.has(channel)) {
+          leave(client, channel);
+        }
+      }
+    }
+  } catch (error) {
+    console.error('Failed to recheck stream access:', error);
+  }
+};
+
+// Ends signed-in streams whose session was revoked or expired since they connected
+const closeEndedSessions = async () => {
+  const signedIn = [...clients].filter(client => client.sessionId);
+  if (signedIn.length === 0) {
+    return;
+  }
+  const live = await Session.find({
+    _id: { $in: signedIn.map(client => client.sessionId) },
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).distinct('_id');
+  for (const client of signedIn) {
+    if (!live.some(id => id.equals(client.sessionId))) {
+      send(client, 'session.ended', {});
+      disconnect(client);
+    }
+  }
+};
+
+const tick = () => {
+  for (const client of clients) {
+    client.res.write(': ping\n\n');
+  }
+  if (Date.now() - lastSessionCheck >= sessionCheckSeconds * 1000) {
+    lastSessionCheck = Date.now();
+    closeEndedSessions().catch(error => console.error('Failed to check stream sessions:', error));
+  }
+};
+
+// Started by server.js next to the HTTP server
+const start = () => {
+  if (!heartbeatTimer) {
+    heartbeatTimer = setInterval(tick, heartbeatSeconds * 1000);
+  }
+};
+
+const stop = () => {
+  clearInterval(heartbeatTimer);
+  heartbeatTimer = null;
+  for (const client of [...clients]) {
+    disconnect(client);
+  }
+};
+
+module.exports = {
+  threadChannel,
+  categoryChannel,
+  userChannel,
+  publish,
+  publishToThread,
+  connect,
+  recheckAccess,
+  connectionCount,
+  viewerCount,
+  start,
+  stop
+};
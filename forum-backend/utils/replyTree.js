@@ -0,0 +1,48 @@
+// Helpers for assembling flat Reply documents into the nested tree clients render
+
+const HIDDEN_PLACEHOLDER = '[hidden pending moderator review]';
+const DELETED_PLACEHOLDER = '[deleted]';
+
+const buildTree = (replies) => {
+  const nodes = new Map();
+  for (const reply of replies) {
+    const node = typeof reply.toJSON === 'function' ? reply.toJSON() : { ...reply };
+    node.replies = [];
+    nodes.set(node._id.toString(), node);
+  }
+
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parent && nodes.get(node.parent.toString());
+    if (parent) {
+      parent.replies.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+  return roots;
+};
+
+const mapReplies = (replies, fn) => (replies || []).map(reply => {
+  const mapped = fn(reply);
+  return { ...mapped, replies: mapReplies(reply.replies, fn) };
+});
+
+// How a reply appears to regular users once it has been deleted or hidden
+const presentReply = (reply) => {
+  if (reply.isDeleted) {
+    return { ...reply, content: DELETED_PLACEHOLDER, contentHtml: DELETED_PLACEHOLDER, author: null, mentions: [] };
+  }
+  if (reply.isHidden) {
+    return { ...reply, content: HIDDEN_PLACEHOLDER, contentHtml: HIDDEN_PLACEHOLDER, mentions: [] };
+  }
+  return reply;
+};
+
+module.exports = {
+  HIDDEN_PLACEHOLDER,
+  DELETED_PLACEHOLDER,
+  buildTree,
+  mapReplies,
+  presentReply
+};
@@ -0,0 +1,67 @@
+const ReputationEvent = require('../models/ReputationEvent');
+const User = require('../models/User');
+const reputationPoints = require('../config/reputation');
+
+// Appends an event to the ledger and applies its delta to the user's running total
+const recordReputation = async ({ user, source, delta, reason, actor, thread, reply }) => {
+  if (!delta) {
+    return null;
+  }
+  const event = await ReputationEvent.create({ user, source, delta, reason, actor, thread, reply });
+  await User.updateOne({ _id: user }, { $inc: { reputation: delta } });
+  return event;
+};
+
+/**
+ * Records the reputation effect of a vote change returned by `castVote`:
+ * the previous vote (if any) is reversed and the new one (if any) applied.
+ * Votes on your own content never change reputation.
+ */
+const recordVoteReputation = async ({ vote, contentType, author, actor, thread, reply }) => {
+  if (author.toString() === actor.toString()) {
+    return;
+  }
+  if (vote.previous) {
+    const source = `${contentType}_${vote.previous}`;
+    await recordReputation({
+      user: author,
+      source,
+      delta: -reputationPoints[source],
+      reason: 'Vote withdrawn',
+      actor,
+      thread,
+      reply
+    });
+  }
+  if (vote.current) {
+    const source = `${contentType}_${vote.current}`;
+    await recordReputation({
+      user: author,
+      source,
+      delta: reputationPoints[source],
+      actor,
+      thread,
+      reply
+    });
+  }
+};
+
+// Rebuilds every user's reputation total from the ledger
+const recalculateReputation = async () => {
+  const totals = await ReputationEvent.aggregate([
+    { $group: { _id: '$user', total: { $sum: '$delta' } } }
+  ]);
+  await User.updateMany({}, { $set: { reputation: 0 } });
+  if (totals.length > 0) {
+    await User.bulkWrite(totals.map(({ _id, total }) => ({
+      updateOne: { filter: { _id }, update: { $set: { reputation: total } } }
+    })));
+  }
+  return { users: totals.length };
+};
+
+module.exports = {
+  recordReputation,
+  recordVoteReputation,
+  recalculateReputation
+};
@@ -0,0 +1,54 @@
+// Parses search box syntax into its parts:
+//   plain words, "exact phrases", -excluded words or -"phrases",
+//   and field filters: author:<username> tag:<name> category:<name> is:solved|unsolved
+
+const FILTER_FIELDS = ['author', 'tag', 'category', 'is'];
+const TOKEN_PATTERN = /(-)?(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+const MAX_TOKENS = 32;
+
+const parseSearchQuery = (input) => {
+  const parsed = { terms: [], phrases: [], excluded: [], filters: {} };
+  const source = String(input || '');
+
+  let match;
+  let tokens = 0;
+  TOKEN_PATTERN.lastIndex = 0;
+  while ((match = TOKEN_PATTERN.exec(source)) && tokens < MAX_TOKENS) {
+    tokens += 1;
+    const [, negated, rawField, quoted, bare] = match;
+    const field = rawField && rawField.toLowerCase();
+    const value = (quoted !== undefined ? quoted : bare || '').replace(/"/g, '').trim();
+    if (!value) {
+      continue;
+    }
+
+    if (field && FILTER_FIELDS.includes(field)) {
+      parsed.filters[field] = value;
+    } else if (negated) {
+      parsed.excluded.push(value);
+    } else if (quoted !== undefined) {
+      parsed.phrases.push(value);
+    } else {
+      // A "field:" prefix we don't recognise is just part of the word
+      parsed.terms.push(field ? `${rawField}:${value}` : value);
+    }
+  }
+  return parsed;
+};
+
+// Builds the string MongoDB's $text operator expects, or null if there is nothing positive to match
+const toTextSearch = ({ terms, phrases, excluded }) => {
+  if (terms.length === 0 && phrases.length === 0) {
+    return null;
+  }
+  return [
+    ...terms,
+    ...phrases.map(phrase => `"${phrase}"`),
+    ...excluded.map(word => (/\s/.test(word) ? `-"${word}"` : `-${word}`))
+  ].join(' ');
+};
+
+module.exports = {
+  parseSearchQuery,
+  toTextSearch
+};
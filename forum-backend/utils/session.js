@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const generateToken = require('./generateToken');
+const { refreshTokenTtlDays } = require('../config/auth');
+
+const REFRESH_COOKIE = 'refreshToken';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const newRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+const refreshExpiry = () => new Date(Date.now() + refreshTokenTtlDays * DAY_MS);
+
+const setRefreshCookie = (res, refreshToken) => {
+  res.cookie(REFRESH_COOKIE, refreshToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    path: '/api/auth',
+    maxAge: refreshTokenTtlDays * DAY_MS
+  });
+};
+
+const clearAuthCookies = (res) => {
+  res.clearCookie('token');
+  res.clearCookie(REFRESH_COOKIE, { path: '/api/auth' });
+};
+
+const readRefreshToken = (req) => (req.cookies && req.cookies[REFRESH_COOKIE]) || req.body.refreshToken;
+
+const deviceInfo = (req) => ({
+  userAgent: (req.get('user-agent') || '').slice(0, 500),
+  ip: req.ip
+});
+
+// Opens a session for a freshly authenticated user and sets both auth cookies
+const startSession = async (user, req, res) => {
+  const refreshToken = newRefreshToken();
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    ...deviceInfo(req),
+    lastSeenAt: new Date(),
+    expiresAt: refreshExpiry()
+  });
+  setRefreshCookie(res, refreshToken);
+  const token = generateToken(user._id, res, session._id);
+  return { token, refreshToken, session };
+};
+
+/**
+ * Exchanges a refresh token for a new access/refresh pair. Each refresh token
+ * works once; presenting one that was already rotated away revokes the whole
+ * session, since it means the token was copied. Resolves to null on failure.
+ */
+const rotateSession = async (refreshToken, req, res) => {
+  if (!refreshToken) {
+    return null;
+  }
+  const presentedHash = hashToken(refreshToken);
+
+  const reused = await Session.findOne({ previousTokenHash: presentedHash, revokedAt: null });
+  if (reused) {
+    await revokeSession(reused._id, 'Refresh token reuse detected');
+    return null;
+  }
+
+  const nextToken = newRefreshToken();
+  const session = await Session.findOneAndUpdate(
+    { tokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      $set: {
+        tokenHash: hashToken(nextToken),
+        previousTokenHash: presentedHash,
+        ...deviceInfo(req),
+        lastSeenAt: new Date(),
+        expiresAt: refreshExpiry()
+      }
+    },
+    { new: true }
+  );
+  if (!session) {
+    return null;
+  }
+
+  const user = await User.findById(session.user);
+  if (!user || user.accessRestriction()) {
+    await revokeSession(session._id, 'Account restricted');
+    return null;
+  }
+
+  setRefreshCookie(res, nextToken);
+  const token = generateToken(user._id, res, session._id);
+  return { user, token, refreshToken: nextToken, session };
+};
+
+const revokeSession = (sessionId, reason) => Session.updateOne(
+  { _id: sessionId, revokedAt: null },
+  { $set: { revokedAt: new Date(), revokeReason: reason } }
+);
+
+// Signs a user out everywhere, optionally keeping the session making the request
+const revokeAllSessions = (userId, reason, exceptSessionId) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+  return Session.updateMany(filter, { $set: { revokedAt: new Date(), revokeReason: reason } });
+};
+
+module.exports = {
+  hashToken,
+  readRefreshToken,
+  clearAuthCookies,
+  startSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions
+};
@@ -0,0 +1,94 @@
+const Subscription = require('../models/Subscription');
+const Category = require('../models/Category');
+const User = require('../models/User');
+const { ACCESS_USER_FIELDS, canReadCategory } = require('./categoryAccess');
+const { notify } = require('./notifications');
+
+const DUPLICATE_KEY = 11000;
+
+const includesId = (ids, id) => ids.some(entry => entry.toString() === id.toString());
+
+// Starts watching a thread the user posted in, unless they already chose a level for it
+const autoWatchThread = async (user, thread) => {
+  try {
+    await Subscription.updateOne(
+      { user, targetType: 'thread', target: thread },
+      { $setOnInsert: { level: 'all' } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // A concurrent request created it first, which is just as good
+    if (error.code !== DUPLICATE_KEY) {
+      throw error;
+    }
+  }
+};
+
+// Users watching any of `targets` at level "all", minus anyone who muted one of them
+const watchersOf = async (targets) => {
+  const subscriptions = await Subscription.find({ $or: targets }).select('user level');
+  const muted = subscriptions.filter(s => s.level === 'muted').map(s => s.user);
+  const watching = subscriptions.filter(s => s.level === 'all' && !includesId(muted, s.user)).map(s => s.user);
+  return [...new Map(watching.map(id => [id.toString(), id])).values()];
+};
+
+// Sends a `watch` notification to each watcher who can still read the category
+const notifyWatchers = async ({ watchers, category, actor, thread, reply, source }) => {
+  if (watchers.length === 0) {
+    return;
+  }
+  const users = await User.find({ _id: { $in: watchers } }).select(ACCESS_USER_FIELDS);
+  for (const user of users) {
+    if (category && !(await canReadCategory(user, category))) {
+      continue;
+    }
+    await notify({
+      recipient: user._id,
+      type: 'watch',
+      actor,
+      groupKey: `watch:${thread}`,
+      thread,
+      reply,
+      data: { source }
+    });
+  }
+};
+
+/**
+ * Tells the thread's watchers about a new reply. `skip` lists users already
+ * notified of it another way, e.g. as the thread's author or as mentioned.
+ */
+const notifyReplyWatchers = async ({ thread, reply, category, actor, skip = [] }) => {
+  const watchers = await watchersOf([{ targetType: 'thread', target: thread._id }]);
+  await notifyWatchers({
+    watchers: watchers.filter(id => !includesId(skip, id)),
+    category,
+    actor,
+    thread: thread._id,
+    reply: reply._id,
+    source: 'thread'
+  });
+};
+
+// Tells watchers of the thread's category, its parent categories and its tags about a new thread
+const notifyNewThreadWatchers = async ({ thread, category, actor }) => {
+  const current = await Category.findById(thread.category).select('ancestors');
+  const categories = [thread.category, ...(current ? current.ancestors : [])];
+  const watchers = await watchersOf([
+    { targetType: 'category', target: { $in: categories } },
+    ...(thread.tags.length > 0 ? [{ targetType: 'tag', target: { $in: thread.tags } }] : [])
+  ]);
+  await notifyWatchers({
+    watchers,
+    category,
+    actor,
+    thread: thread._id,
+    source: 'new_thread'
+  });
+};
+
+module.exports = {
+  autoWatchThread,
+  notifyReplyWatchers,
+  notifyNewThreadWatchers
+};
@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { verifyTotp } = require('./totp');
+const { hashToken } = require('./session');
+const { twoFactorChallengeTtlMinutes, recoveryCodeCount } = require('../config/auth');
+
+const CHALLENGE_PURPOSE = '2fa';
+
+const resolveSecret = () => process.env.JWT_SECRET || process.env.JWT_SECRET_KEY;
+
+/**
+ * Partial token proving the password check passed. It carries a `purpose`
+ * and no session id, so the JWT strategy never accepts it as an access token.
+ */
+const issueChallengeToken = (userId) => jwt.sign(
+  { userId, purpose: CHALLENGE_PURPOSE },
+  resolveSecret(),
+  { expiresIn: `${twoFactorChallengeTtlMinutes}m` }
+);
+
+// Resolves the user id from a challenge token, or null if it is invalid or expired
+const readChallengeToken = (token) => {
+  try {
+    const payload = jwt.verify(token, resolveSecret());
+    return payload.purpose === CHALLENGE_PURPOSE ? payload.userId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Returns the plain codes to show the user once, plus the hashed form to store
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: recoveryCodeCount }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return {
+    codes,
+    stored: codes.map(code => ({ hash: hashToken(normalizeRecoveryCode(code)), usedAt: null }))
+  };
+};
+
+// Accepts a TOTP code at most once by only moving lastUsedStep forwards
+const consumeTotp = async (user, secret, code) => {
+  const step = verifyTotp(secret, code);
+  if (step === null) {
+    return false;
+  }
+  const { modifiedCount } = await User.updateOne(
+    // $not also matches accounts created before lastUsedStep existed
+    { _id: user._id, 'twoFactor.lastUsedStep': { $not: { $gte: step } } },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+  return modifiedCount === 1;
+};
+
+const consumeRecoveryCode = async (user, code) => {
+  const { modifiedCount } = await User.updateOne(
+    {
+      _id: user._id,
+      'twoFactor.recoveryCodes': { $elemMatch: { hash: hashToken(normalizeRecoveryCode(code)), usedAt: null } }
+    },
+    { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } }
+  );
+  return modifiedCount === 1;
+};
+
+// Checks either an authenticator code or an unused recovery code for a user with 2FA enabled
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (code) {
+    return consumeTotp(user, user.twoFactor.secret, code);
+  }
+  if (recoveryCode) {
+    return consumeRecoveryCode(user, recoveryCode);
+  }
+  return false;
+};
+
+const remainingRecoveryCodes = (user) => user.twoFactor.recoveryCodes.filter(entry => !entry.usedAt).length;
+
+module.exports = {
+  issueChallengeToken,
+  readChallengeToken,
+  generateRecoveryCodes,
+  consumeTotp,
+  verifySecondFactor,
+  remainingRecoveryCodes
+};
@@ -0,0 +1,50 @@
+// Toggles a user's vote on any document with an embedded `votes` array using
+// single-document atomic updates, so concurrent voters never overwrite each other.
+
+const MAX_ATTEMPTS = 5;
+
+/**
+ * Casting the same vote twice removes it; casting the opposite vote switches it.
+ * Resolves to `{ previous, current }` vote types (null when absent), or null
+ * when no document matches `filter`.
+ */
+const castVote = async (Model, filter, userId, type) => {
+  const opposite = type === 'upvote' ? 'downvote' : 'upvote';
+
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const removed = await Model.updateOne(
+      { ...filter, votes: { $elemMatch: { user: userId, type } } },
+      { $pull: { votes: { user: userId } } }
+    );
+    if (removed.modifiedCount > 0) {
+      return { previous: type, current: null };
+    }
+
+    const switched = await Model.updateOne(
+      { ...filter, votes: { $elemMatch: { user: userId, type: opposite } } },
+      { $set: { 'votes.$.type': type } }
+    );
+    if (switched.modifiedCount > 0) {
+      return { previous: opposite, current: type };
+    }
+
+    const added = await Model.updateOne(
+      { ...filter, 'votes.user': { $ne: userId } },
+      { $push: { votes: { user: userId, type } } }
+    );
+    if (added.modifiedCount > 0) {
+      return { previous: null, current: type };
+    }
+
+    // Either the target is gone or this user's vote changed between steps
+    if (!(await Model.exists(filter))) {
+      return null;
+    }
+  }
+
+  throw new Error('Could not record vote due to concurrent updates');
+};
+
+module.exports = {
+  castVote
+};